@@ -1,26 +1,57 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useReports } from '../src/contexts/ReportsContext';
 import {
   fetchRunResults,
+  fetchTestHistory,
+  downloadAttachment,
   downloadAllTestLogs,
   applyFilters,
+  parseFilterQuery,
+  TEST_STATUSES,
+  TREE_VIEWS,
+  isInTreeBranch,
+  treeNodeId,
+  treeNodePath,
+  testKey,
   getStatusBadgeStyle,
   formatDuration
 } from '../src/utils/allureUtils.js';
+import TestHistory from './TestHistory';
+import TestFixtures from './TestFixtures';
+import TestTree from './TestTree';
+import StepTree from './StepTree';
+
+// Runs shown in each test's history strip, including the current one
+const HISTORY_RUNS = 10;
+
+// Search parameters holding the filters, so a filtered view can be bookmarked and shared
+const FILTER_PARAMS = ['q', 'status', 'view', 'branch'];
 
 const AllureViewer = () => {
   const { runId } = useParams();
   const navigate = useNavigate();
+  // ?test=<historyId or full name> highlights one test, e.g. from Compare Reports
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focusedTest = searchParams.get('test');
+  // Filters live in the URL: ?q=<filter query>&status=failed,broken&view=behaviors&branch=<tree node>
+  const query = searchParams.get('q') || '';
+  const statusParam = searchParams.get('status') || '';
+  const statuses = useMemo(() => statusParam.split(',').filter(Boolean), [statusParam]);
+  const treeView = Object.keys(TREE_VIEWS).includes(searchParams.get('view')) ? searchParams.get('view') : 'suites';
+  const branchParam = searchParams.get('branch');
+  const treeBranch = useMemo(() => (branchParam ? treeNodePath(branchParam) : null), [branchParam]);
+  const queryErrors = useMemo(() => parseFilterQuery(query).errors, [query]);
+  const focusedRef = useRef(null);
   const { getReports, getCacheStatus } = useReports();
   const [showPopup, setShowPopup] = useState(false);
   const [allTestResults, setAllTestResults] = useState([]);
   const [filteredResults, setFilteredResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({ status: '', name: '' });
+  const [history, setHistory] = useState(null);
   const [summary, setSummary] = useState({
-    total: 0, passed: 0, failed: 0, broken: 0, skipped: 0
+    total: 0, passed: 0, failed: 0, broken: 0, skipped: 0, passedOnRetry: 0
   });
 
   const fetchTestResults = useCallback(async () => {
@@ -36,6 +67,7 @@ const AllureViewer = () => {
         failed:  results.filter(r => r.status === 'failed').length,
         broken:  results.filter(r => r.status === 'broken').length,
         skipped: results.filter(r => r.status === 'skipped').length,
+        passedOnRetry: results.filter(r => r.passedOnRetry).length,
       });
     } catch (err) {
       console.error('Error fetching test results:', err);
@@ -47,12 +79,43 @@ const AllureViewer = () => {
 
   // Apply filters using extracted utility
   const handleApplyFilters = useCallback(() => {
-    const filtered = applyFilters(allTestResults, {
-      status: filters.status,
-      search: filters.name
-    });
-    setFilteredResults(filtered);
-  }, [allTestResults, filters]);
+    const filtered = applyFilters(allTestResults, { statuses, query });
+    setFilteredResults(filtered.filter(result => isInTreeBranch(result, treeView, treeBranch)));
+  }, [allTestResults, statuses, query, treeView, treeBranch]);
+
+  // Replace filter parameters in the URL without adding history entries; empty values are removed
+  const updateFilterParams = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const handleTreeViewChange = (view) => {
+    updateFilterParams({ view: view === 'suites' ? null : view, branch: null });
+  };
+
+  const handleTreeBranchChange = (path) => {
+    updateFilterParams({ branch: path ? treeNodeId(path) : null });
+  };
+
+  const toggleStatus = (status) => {
+    const next = statuses.includes(status) ? statuses.filter(s => s !== status) : [...statuses, status];
+    updateFilterParams({ status: next.join(',') });
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      await downloadAttachment(runId, attachment);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      setError(`Failed to download ${attachment.name || attachment.source}: ${error.message}`);
+    }
+  };
 
   const handleDownloadLogs = async (testResult) => {
     try {
@@ -69,22 +132,33 @@ const AllureViewer = () => {
     fetchTestResults();
   }, [fetchTestResults]);
 
+  // History is extra context, so the results still show when it fails to load
+  useEffect(() => {
+    if (!runId) return;
+    let cancelled = false;
+    setHistory(null);
+    fetchTestHistory(runId, HISTORY_RUNS)
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((err) => console.error('Error fetching test history:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [runId]);
+
   useEffect(() => {
     handleApplyFilters();
   }, [handleApplyFilters]);
 
-  const handleFilterChange = (key, value) => {
-    setFilters(prev => ({
-      ...prev,
-      [key]: value
-    }));
-  };
+  useEffect(() => {
+    if (focusedTest && focusedRef.current) {
+      focusedRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusedTest, filteredResults]);
 
   const clearFilters = () => {
-    setFilters({
-      status: '',
-      name: ''
-    });
+    updateFilterParams(Object.fromEntries(FILTER_PARAMS.map(key => [key, null])));
   };
 
   return (
@@ -147,7 +221,7 @@ const AllureViewer = () => {
         {!loading && allTestResults.length > 0 && (
           <>
             {/* Summary Cards */}
-            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-8">
               <div className="bg-white rounded-lg shadow p-6 text-center">
                 <div className="text-3xl font-bold text-gray-800">{summary.total}</div>
                 <div className="text-sm text-gray-600">Total</div>
@@ -168,34 +242,44 @@ const AllureViewer = () => {
                 <div className="text-3xl font-bold text-gray-600">{summary.skipped}</div>
                 <div className="text-sm text-gray-600">Skipped</div>
               </div>
+              <div className="bg-white rounded-lg shadow p-6 text-center">
+                <div className="text-3xl font-bold text-orange-600">{summary.passedOnRetry}</div>
+                <div className="text-sm text-gray-600">Passed on Retry</div>
+              </div>
             </div>
 
             {/* Filters */}
             <div className="bg-white rounded-lg shadow p-6 mb-8">
               <h3 className="text-lg font-semibold mb-4">🔍 Filters</h3>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
-                  <select
-                    value={filters.status}
-                    onChange={(e) => handleFilterChange('status', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="">All Statuses</option>
-                    <option value="passed">Passed</option>
-                    <option value="failed">Failed</option>
-                    <option value="broken">Broken</option>
-                    <option value="skipped">Skipped</option>
-                  </select>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Status (any of)</label>
+                <div className="flex flex-wrap gap-2">
+                  {TEST_STATUSES.map(status => {
+                    const style = getStatusBadgeStyle(status);
+                    const isSelected = statuses.includes(status);
+                    return (
+                      <button
+                        key={status}
+                        onClick={() => toggleStatus(status)}
+                        className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors duration-200 ${
+                          isSelected ? `${style.bg} ${style.text} border-current` : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {style.icon} {status}
+                      </button>
+                    );
+                  })}
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Test Name</label>
+              </div>
+              <div className="flex flex-col md:flex-row gap-4">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Filter</label>
                   <input
                     type="text"
-                    value={filters.name}
-                    onChange={(e) => handleFilterChange('name', e.target.value)}
-                    placeholder="Search by test name..."
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={query}
+                    onChange={(e) => updateFilterParams({ q: e.target.value })}
+                    placeholder='e.g. severity:critical duration:>5s OR message:"no carrier"'
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
                 <div className="flex items-end">
@@ -207,116 +291,195 @@ const AllureViewer = () => {
                   </button>
                 </div>
               </div>
+              {queryErrors.length > 0 && (
+                <div className="mt-2 text-sm text-red-600">{queryErrors.join('; ')}</div>
+              )}
+              <details className="mt-2 text-sm text-gray-600">
+                <summary className="cursor-pointer text-blue-600">Filter syntax</summary>
+                <ul className="mt-2 space-y-1 font-mono text-xs">
+                  <li>call connects — name, full name or description contains the text</li>
+                  <li>name:dial · message:&quot;no carrier&quot; — name or failure message contains the text</li>
+                  <li>severity:critical · owner:alice · tag:smoke · feature:Dial — label values (label:any=value for others)</li>
+                  <li>param:callee=+4412 · param:+4412 — parameter values</li>
+                  <li>duration:&gt;5s · duration:&lt;=500ms · duration:1s..10s — test duration</li>
+                  <li>status:failed,broken — any of the statuses</li>
+                  <li>Terms are combined with AND; OR separates alternatives; -term excludes</li>
+                </ul>
+              </details>
               <div className="mt-4 text-sm text-gray-600">
                 Showing {filteredResults.length} of {allTestResults.length} tests
+                {treeBranch && <span> in <strong>{treeBranch.join(' › ')}</strong></span>}
               </div>
             </div>
 
-            {/* Test Results */}
-            <div className="space-y-4">
-              {filteredResults.map((result, index) => {
-                const statusStyle = getStatusBadgeStyle(result.status);
+            <div className="flex flex-col lg:flex-row gap-6">
+              {/* Suite / behavior tree */}
+              <aside className="lg:w-80 flex-shrink-0">
+                <div className="lg:sticky lg:top-4">
+                  <TestTree
+                    results={allTestResults}
+                    view={treeView}
+                    onViewChange={handleTreeViewChange}
+                    selectedPath={treeBranch}
+                    onSelectPath={handleTreeBranchChange}
+                  />
+                </div>
+              </aside>
+
+              <div className="flex-1 min-w-0">
+                {/* Test Results */}
+                <div className="space-y-4">
+                  {filteredResults.map((result, index) => {
+                    const statusStyle = getStatusBadgeStyle(result.status);
+                    const isFocused = Boolean(focusedTest) && testKey(result) === focusedTest;
                 
-                return (
-                  <div key={index} className="bg-white rounded-lg shadow hover:shadow-md transition-shadow duration-200">
-                    <div className="p-6">
-                      <div className="flex items-start justify-between">
-                        <div className="flex-1">
-                          <div className="flex items-center gap-3 mb-2">
-                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusStyle.bg} ${statusStyle.text}`}>
-                              {statusStyle.icon} {result.status.toUpperCase()}
-                            </span>
-                            {result.start && (
-                              <span className="text-sm text-gray-500">
-                                ⏱️ {formatDuration(result.stop - result.start)}
-                              </span>
+                    return (
+                      <div
+                        key={result.uuid || testKey(result) || index}
+                        ref={isFocused ? focusedRef : null}
+                        className={`bg-white rounded-lg shadow hover:shadow-md transition-shadow duration-200 ${isFocused ? 'ring-4 ring-blue-400' : ''}`}
+                      >
+                        <div className="p-6">
+                          <div className="flex items-start justify-between">
+                            <div className="flex-1">
+                              <div className="flex items-center gap-3 mb-2">
+                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusStyle.bg} ${statusStyle.text}`}>
+                                  {statusStyle.icon} {result.status.toUpperCase()}
+                                </span>
+                                {result.start && (
+                                  <span className="text-sm text-gray-500">
+                                    ⏱️ {formatDuration(result.stop - result.start)}
+                                  </span>
+                                )}
+                                {result.passedOnRetry && (
+                                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                                    🔁 Passed on retry
+                                  </span>
+                                )}
+                              </div>
+                              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                                {result.name || result.fullName || 'Unnamed Test'}
+                              </h3>
+                              {result.description && (
+                                <p className="text-gray-600 mb-3">{result.description}</p>
+                              )}
+                              {result.fullName && result.fullName !== result.name && (
+                                <p className="text-sm text-gray-500 mb-2">
+                                  <strong>Full Name:</strong> {result.fullName}
+                                </p>
+                              )}
+                              {result.runId && (
+                                <p className="text-sm text-gray-500">
+                                  <strong>Run ID:</strong> {result.runId}
+                                </p>
+                              )}
+                            </div>
+                        
+                            {/* Download Logs Button - Only show for failed/broken tests */}
+                            {(result.status === 'failed' || result.status === 'broken') && (
+                              <div className="ml-4 flex-shrink-0">
+                                <button
+                                  onClick={() => handleDownloadLogs(result)}
+                                  className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-200 flex items-center gap-3 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                                >
+                                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                                  </svg>
+                                  Download All Logs (ZIP)
+                                </button>
+                              </div>
                             )}
                           </div>
-                          <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                            {result.name || result.fullName || 'Unnamed Test'}
-                          </h3>
-                          {result.description && (
-                            <p className="text-gray-600 mb-3">{result.description}</p>
+
+                          {/* Earlier attempts of a retried test, oldest first */}
+                          {result.retries && result.retries.length > 0 && (
+                            <div className="mt-4">
+                              <h4 className="text-sm font-medium text-gray-700 mb-2">🔁 Retries ({result.retries.length}):</h4>
+                              <div className="space-y-1">
+                                {result.retries.map((attempt, attemptIndex) => {
+                                  const attemptStyle = getStatusBadgeStyle(attempt.status);
+                                  return (
+                                    <div key={attempt.uuid || attemptIndex} className="text-sm text-gray-600 pl-4 border-l-2 border-gray-200">
+                                      <div className="flex items-center gap-2">
+                                        <span>Attempt {attemptIndex + 1}</span>
+                                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${attemptStyle.bg} ${attemptStyle.text}`}>
+                                          {attemptStyle.icon} {attempt.status}
+                                        </span>
+                                        {attempt.start && attempt.stop && (
+                                          <span className="text-xs text-gray-400">{formatDuration(attempt.stop - attempt.start)}</span>
+                                        )}
+                                      </div>
+                                      {attempt.statusDetails?.message && (
+                                        <p className="text-xs text-red-700 mt-1 break-words">{attempt.statusDetails.message}</p>
+                                      )}
+                                    </div>
+                                  );
+                                })}
+                              </div>
+                            </div>
                           )}
-                          {result.fullName && result.fullName !== result.name && (
-                            <p className="text-sm text-gray-500 mb-2">
-                              <strong>Full Name:</strong> {result.fullName}
-                            </p>
+
+                          {/* Set-up and tear-down fixtures from the run's containers */}
+                          <TestFixtures befores={result.befores} afters={result.afters} />
+
+                          {/* Attachments/Steps (if available) */}
+                          {result.attachments && result.attachments.length > 0 && (
+                            <div className="mt-4">
+                              <h4 className="text-sm font-medium text-gray-700 mb-2">📎 Attachments:</h4>
+                              <div className="space-y-1">
+                                {result.attachments.map((attachment, attIndex) => (
+                                  <div key={attIndex} className="text-sm text-gray-600">
+                                    •{' '}
+                                    {attachment.missing ? (
+                                      <span title="This attachment was not uploaded with the run">
+                                        {attachment.name || attachment.source || `Attachment ${attIndex + 1}`} (missing)
+                                      </span>
+                                    ) : (
+                                      <button
+                                        onClick={() => handleDownloadAttachment(attachment)}
+                                        className="text-blue-600 hover:text-blue-800 hover:underline"
+                                      >
+                                        {attachment.name || attachment.source || `Attachment ${attIndex + 1}`}
+                                      </button>
+                                    )}
+                                    {attachment.type && <span className="text-gray-400"> ({attachment.type})</span>}
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
                           )}
-                          {result.runId && (
-                            <p className="text-sm text-gray-500">
-                              <strong>Run ID:</strong> {result.runId}
-                            </p>
+
+                          {/* Nested steps, opened at the first failure */}
+                          <StepTree steps={result.steps} runId={runId} />
+
+                          {/* History across recent runs */}
+                          {history && (
+                            <TestHistory
+                              runs={history.runs}
+                              cells={history.tests[testKey(result)]}
+                              testKey={testKey(result)}
+                              currentRunId={runId}
+                            />
                           )}
                         </div>
-                        
-                        {/* Download Logs Button - Only show for failed/broken tests */}
-                        {(result.status === 'failed' || result.status === 'broken') && (
-                          <div className="ml-4 flex-shrink-0">
-                            <button
-                              onClick={() => handleDownloadLogs(result)}
-                              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-200 flex items-center gap-3 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                            >
-                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                              </svg>
-                              Download All Logs (ZIP)
-                            </button>
-                          </div>
-                        )}
                       </div>
+                    );
+                  })}
+                </div>
 
-                      {/* Attachments/Steps (if available) */}
-                      {result.attachments && result.attachments.length > 0 && (
-                        <div className="mt-4">
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">📎 Attachments:</h4>
-                          <div className="space-y-1">
-                            {result.attachments.map((attachment, attIndex) => (
-                              <div key={attIndex} className="text-sm text-gray-600">
-                                • {attachment.name || attachment.source || `Attachment ${attIndex + 1}`}
-                                {attachment.type && <span className="text-gray-400"> ({attachment.type})</span>}
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      )}
-
-                      {/* Steps (if available) */}
-                      {result.steps && result.steps.length > 0 && (
-                        <div className="mt-4">
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">📋 Steps:</h4>
-                          <div className="space-y-2">
-                            {result.steps.map((step, stepIndex) => (
-                              <div key={stepIndex} className="text-sm text-gray-600 pl-4 border-l-2 border-gray-200">
-                                <div className="font-medium">{step.name+" "} 
-                                  {step.status && (
-                                    <span className={`text-xs ${step.status === 'passed' ? 'text-green-600' : 'text-red-600'}`}>
-                                      Status: {step.status}
-                                    </span>
-                                  )}
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      )}
-                    </div>
+                {filteredResults.length === 0 && allTestResults.length > 0 && (
+                  <div className="text-center py-12">
+                    <div className="text-gray-500 text-lg">No tests match the current filters</div>
+                    <button
+                      onClick={clearFilters}
+                      className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+                    >
+                      Clear Filters
+                    </button>
                   </div>
-                );
-              })}
-            </div>
-
-            {filteredResults.length === 0 && allTestResults.length > 0 && (
-              <div className="text-center py-12">
-                <div className="text-gray-500 text-lg">No tests match the current filters</div>
-                <button
-                  onClick={clearFilters}
-                  className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors duration-200"
-                >
-                  Clear Filters
-                </button>
+                )}
               </div>
-            )}
+            </div>
           </>
         )}
 
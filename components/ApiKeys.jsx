@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react'
+import { apiJson } from '../src/utils/apiClient.js'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', className: 'bg-gray-200 text-gray-700' }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' }
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-800' }
+}
+
+const emptyForm = { name: '', scopes: ['read-runs'], expiresInDays: '' }
+
+/**
+ * ApiKeys Component
+ *
+ * Admin-only page for keys used by CI jobs and scripts.
+ * Features:
+ * - List of keys with scopes, creator, last use and status
+ * - Create named keys with scopes and an optional expiry
+ * - The secret is shown once right after creation
+ * - Revoke keys
+ */
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([])
+  const [scopes, setScopes] = useState(['read-runs', 'upload-runs', 'delete-runs'])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [createdKey, setCreatedKey] = useState(null)
+  const [form, setForm] = useState(emptyForm)
+  const [isCreating, setIsCreating] = useState(false)
+  const [revokingKeys, setRevokingKeys] = useState(new Set())
+
+  useEffect(() => {
+    fetchKeys()
+  }, [])
+
+  const fetchKeys = async () => {
+    try {
+      setIsLoading(true)
+      const data = await apiJson('/api/api-keys')
+      setApiKeys(data.apiKeys || [])
+      if (data.scopes) setScopes(data.scopes)
+    } catch (err) {
+      setError('Failed to load API keys: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setIsCreating(true)
+    setError('')
+    setCreatedKey(null)
+    try {
+      const data = await apiJson('/api/api-keys', {
+        method: 'POST',
+        body: { ...form, expiresInDays: form.expiresInDays || undefined }
+      })
+      setApiKeys(prev => [...prev, data.apiKey])
+      setCreatedKey({ name: data.apiKey.name, key: data.key })
+      setForm(emptyForm)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key "${apiKey.name}"? Tools using it will stop working.`)) return
+    setRevokingKeys(prev => new Set(prev).add(apiKey.id))
+    setError('')
+    try {
+      const data = await apiJson(`/api/api-keys/${apiKey.id}`, { method: 'DELETE' })
+      setApiKeys(prev => prev.map(k => (k.id === apiKey.id ? data.apiKey : k)))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRevokingKeys(prev => {
+        const newSet = new Set(prev)
+        newSet.delete(apiKey.id)
+        return newSet
+      })
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">API Keys</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Keys let CI jobs and scripts call the API. Send them as <code className="px-1 bg-gray-100 rounded">Authorization: Bearer &lt;key&gt;</code>
+            </p>
+          </div>
+
+          {/* Create Key */}
+          <form onSubmit={handleCreate} className="px-6 py-6 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Create API Key</h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-center">
+              <input
+                type="text"
+                required
+                placeholder="Name, e.g. nightly-ci"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex flex-wrap gap-3">
+                {scopes.map(scope => (
+                  <label key={scope} className="flex items-center gap-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />
+                    {scope}
+                  </label>
+                ))}
+              </div>
+              <input
+                type="number"
+                min="1"
+                placeholder="Expires in days (optional)"
+                value={form.expiresInDays}
+                onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={isCreating || form.scopes.length === 0}
+                className="px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 transition-colors duration-200"
+              >
+                {isCreating ? 'Creating...' : 'Create Key'}
+              </button>
+            </div>
+          </form>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+            {createdKey && (
+              <div className="mb-4 bg-green-50 border border-green-200 text-green-800 rounded-md p-4 text-sm">
+                <p className="mb-2">
+                  Created <strong>{createdKey.name}</strong>. Copy the key now, it will not be shown again:
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 px-2 py-1 bg-white border border-green-200 rounded break-all">{createdKey.key}</code>
+                  <button
+                    onClick={() => navigator.clipboard?.writeText(createdKey.key)}
+                    className="px-3 py-1 border border-green-300 rounded-md hover:bg-green-100"
+                  >
+                    Copy
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <span className="ml-3 text-gray-600">Loading API keys...</span>
+              </div>
+            ) : apiKeys.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No API keys yet</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scopes</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Used</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {apiKeys.map(apiKey => {
+                      const status = keyStatus(apiKey)
+                      return (
+                        <tr key={apiKey.id} className={apiKey.revokedAt ? 'bg-gray-50 text-gray-400' : ''}>
+                          <td className="px-6 py-4 text-sm">
+                            <div className="font-medium text-gray-900">{apiKey.name}</div>
+                            <div className="text-gray-500">atk_{apiKey.id}_… · by {apiKey.createdBy || 'unknown'}</div>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-700">{apiKey.scopes.join(', ')}</td>
+                          <td className="px-6 py-4 text-sm text-gray-700">{formatDate(apiKey.lastUsedAt)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-700">{apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}</td>
+                          <td className="px-6 py-4 text-sm">
+                            <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                              {status.label}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-right whitespace-nowrap">
+                            {!apiKey.revokedAt && (
+                              <button
+                                onClick={() => handleRevoke(apiKey)}
+                                disabled={revokingKeys.has(apiKey.id)}
+                                className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                              >
+                                {revokingKeys.has(apiKey.id) ? 'Revoking...' : 'Revoke'}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ApiKeys
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { fetchAttachmentBlob, downloadAttachment } from '../src/utils/allureUtils.js';
+
+// Larger text attachments are cut off inline; the full file can still be downloaded
+const MAX_TEXT_CHARS = 20000;
+
+const TEXT_TYPES = ['application/json', 'application/xml', 'text/'];
+
+const previewKind = (type) => {
+  if (!type) return 'text';
+  if (type.startsWith('image/')) return 'image';
+  if (TEXT_TYPES.some((textType) => type.startsWith(textType))) return 'text';
+  return null;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * AttachmentPreview Component
+ *
+ * One step or test attachment, shown inline.
+ * Features:
+ * - Images and text (logs, JSON, XML) are fetched with the session token and shown in place
+ * - Long text is truncated, other types get a download button
+ * - Attachments missing from the upload are labelled instead of fetched
+ */
+const AttachmentPreview = ({ runId, attachment }) => {
+  const kind = previewKind(attachment.type);
+  const [content, setContent] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!kind || attachment.missing || !attachment.source) return;
+    let cancelled = false;
+    let objectUrl = null;
+
+    setLoading(true);
+    setError(null);
+    fetchAttachmentBlob(runId, attachment.source)
+      .then(async (blob) => {
+        if (cancelled) return;
+        if (kind === 'image') {
+          objectUrl = URL.createObjectURL(blob);
+          setContent(objectUrl);
+        } else {
+          const text = await blob.text();
+          if (!cancelled) setContent(text);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [runId, attachment.source, attachment.missing, kind]);
+
+  const handleDownload = async () => {
+    try {
+      await downloadAttachment(runId, attachment);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const title = attachment.name || attachment.source || 'Attachment';
+
+  return (
+    <div className="mt-2 border border-gray-200 rounded-md bg-white">
+      <div className="flex items-center justify-between gap-2 px-3 py-1.5 border-b border-gray-100 text-xs text-gray-600">
+        <span className="truncate">
+          📎 {title}
+          {attachment.type && <span className="text-gray-400"> ({attachment.type})</span>}
+          {attachment.size !== null && attachment.size !== undefined && <span className="text-gray-400"> · {formatSize(attachment.size)}</span>}
+        </span>
+        {!attachment.missing && (
+          <button onClick={handleDownload} className="text-blue-600 hover:text-blue-800 hover:underline flex-shrink-0">
+            Download
+          </button>
+        )}
+      </div>
+      <div className="px-3 py-2 text-xs">
+        {attachment.missing && <span className="text-gray-500">This attachment was not uploaded with the run</span>}
+        {loading && <span className="text-gray-500">Loading...</span>}
+        {error && <span className="text-red-600">{error}</span>}
+        {!loading && !error && content !== null && kind === 'image' && (
+          <img src={content} alt={title} className="max-h-96 max-w-full rounded" />
+        )}
+        {!loading && !error && content !== null && kind === 'text' && (
+          <pre className="max-h-72 overflow-auto whitespace-pre-wrap break-words bg-gray-50 rounded p-2 text-gray-800">
+            {content.length > MAX_TEXT_CHARS ? `${content.slice(0, MAX_TEXT_CHARS)}\n… truncated, download for the full file` : content}
+          </pre>
+        )}
+        {!kind && !attachment.missing && <span className="text-gray-500">No inline preview for this type</span>}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentPreview;
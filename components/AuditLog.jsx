@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react'
+import { apiJson } from '../src/utils/apiClient.js'
+
+const PAGE_SIZE = 50
+
+const emptyFilters = { action: '', actor: '', target: '', outcome: '', from: '', to: '' }
+
+const outcomeStyles = {
+  success: 'bg-green-100 text-green-800',
+  failure: 'bg-red-100 text-red-800',
+  denied: 'bg-yellow-100 text-yellow-800'
+}
+
+// Query string for one page of the audit log; dates cover whole days
+const buildQuery = (filters, cursor) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) })
+  if (cursor) params.set('cursor', cursor)
+  if (filters.action) params.set('action', filters.action)
+  if (filters.actor) params.set('actor', filters.actor)
+  if (filters.target) params.set('target', filters.target)
+  if (filters.outcome) params.set('outcome', filters.outcome)
+  if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString())
+  if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString())
+  return params.toString()
+}
+
+const fetchAuditPage = (filters, cursor) => apiJson(`/api/audit?${buildQuery(filters, cursor)}`)
+
+const formatDetails = (details) => {
+  if (!details) return ''
+  return Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(' · ')
+}
+
+/**
+ * AuditLog Component
+ *
+ * Admin-only view of the audit trail.
+ * Features:
+ * - Who signed in, downloaded run ZIPs or logs, uploaded runs and changed users or keys
+ * - Filter by action, user, target, outcome and date range
+ * - Newest first, with "Load more" paging
+ */
+const AuditLog = () => {
+  const [entries, setEntries] = useState([])
+  const [actions, setActions] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setIsLoading(true)
+        setError('')
+        const data = await fetchAuditPage(appliedFilters, null)
+        setEntries(data.entries || [])
+        setActions(data.actions || [])
+        setTotal(data.total || 0)
+        setNextCursor(data.page?.nextCursor || null)
+      } catch (err) {
+        setError('Failed to load audit log: ' + err.message)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    load()
+  }, [appliedFilters])
+
+  const loadMore = async () => {
+    if (!nextCursor) return
+    try {
+      setIsLoadingMore(true)
+      const data = await fetchAuditPage(appliedFilters, nextCursor)
+      setEntries(prev => [...prev, ...(data.entries || [])])
+      setNextCursor(data.page?.nextCursor || null)
+    } catch (err) {
+      setError('Failed to load more entries: ' + err.message)
+    } finally {
+      setIsLoadingMore(false)
+    }
+  }
+
+  const handleFilterChange = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleApply = (e) => {
+    e.preventDefault()
+    setAppliedFilters(filters)
+  }
+
+  const handleClear = () => {
+    setFilters(emptyFilters)
+    setAppliedFilters(emptyFilters)
+  }
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Sign-ins, downloads, uploads and administrative changes, newest first
+            </p>
+          </div>
+
+          {/* Filters */}
+          <form onSubmit={handleApply} className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-8 gap-3">
+              <select
+                value={filters.action}
+                onChange={(e) => handleFilterChange('action', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All actions</option>
+                {actions.map(action => <option key={action} value={action}>{action}</option>)}
+              </select>
+              <input
+                type="text"
+                placeholder="User"
+                value={filters.actor}
+                onChange={(e) => handleFilterChange('actor', e.target.value)}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                placeholder="Target (e.g. run id)"
+                value={filters.target}
+                onChange={(e) => handleFilterChange('target', e.target.value)}
+                className={inputClass}
+              />
+              <select
+                value={filters.outcome}
+                onChange={(e) => handleFilterChange('outcome', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All outcomes</option>
+                <option value="success">Success</option>
+                <option value="failure">Failure</option>
+                <option value="denied">Denied</option>
+              </select>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+                className={inputClass}
+                title="From"
+              />
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+                className={inputClass}
+                title="To"
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200"
+              >
+                Apply
+              </button>
+              <button
+                type="button"
+                onClick={handleClear}
+                className="px-4 py-2 rounded-md text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+              >
+                Clear
+              </button>
+            </div>
+          </form>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <span className="ml-3 text-gray-600">Loading audit log...</span>
+              </div>
+            ) : entries.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No audit entries match these filters</div>
+            ) : (
+              <>
+                <p className="mb-3 text-sm text-gray-500">Showing {entries.length} of {total} entries</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {entries.map(entry => (
+                        <tr key={entry.id}>
+                          <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                          <td className="px-4 py-3 text-sm text-gray-900">{entry.actor?.email || '—'}</td>
+                          <td className="px-4 py-3 text-sm font-mono text-gray-700">{entry.action}</td>
+                          <td className="px-4 py-3 text-sm text-gray-700 break-all">{entry.target || '—'}</td>
+                          <td className="px-4 py-3 text-sm">
+                            <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${outcomeStyles[entry.outcome] || 'bg-gray-100 text-gray-800'}`}>
+                              {entry.outcome}
+                            </span>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{entry.ip || '—'}</td>
+                          <td className="px-4 py-3 text-xs text-gray-500">{formatDetails(entry.details)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {nextCursor && (
+                  <div className="mt-6 text-center">
+                    <button
+                      onClick={loadMore}
+                      disabled={isLoadingMore}
+                      className="px-6 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {isLoadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AuditLog
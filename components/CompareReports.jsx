@@ -12,6 +12,9 @@ import {
   LineElement,
 } from 'chart.js'
 import { Bar, Doughnut, Line } from 'react-chartjs-2'
+import { Link } from 'react-router-dom'
+import { apiJson } from '../src/utils/apiClient.js'
+import { fetchRunResults, diffRunResults, getStatusBadgeStyle } from '../src/utils/allureUtils.js'
 
 // Register Chart.js components
 ChartJS.register(
@@ -26,6 +29,27 @@ ChartJS.register(
   LineElement
 )
 
+// Test-level difference groups, in display order
+const diffSections = [
+  { key: 'newlyFailing', title: 'Newly Failing', icon: '❌', className: 'border-red-200 bg-red-50 text-red-800', open: true },
+  { key: 'fixed', title: 'Fixed', icon: '✅', className: 'border-green-200 bg-green-50 text-green-800', open: true },
+  { key: 'stillFailing', title: 'Still Failing', icon: '⚠️', className: 'border-yellow-200 bg-yellow-50 text-yellow-800', open: false },
+  { key: 'added', title: 'Added', icon: '➕', className: 'border-blue-200 bg-blue-50 text-blue-800', open: false },
+  { key: 'removed', title: 'Removed', icon: '➖', className: 'border-gray-200 bg-gray-50 text-gray-800', open: false }
+]
+
+const viewerLink = (runId, testKey) =>
+  `/allure-viewer/${encodeURIComponent(runId)}?test=${encodeURIComponent(testKey)}`
+
+const StatusBadge = ({ status }) => {
+  const style = getStatusBadgeStyle(status)
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${style.bg} ${style.text}`}>
+      {style.icon} {status}
+    </span>
+  )
+}
+
 /**
  * CompareReports Component
  * 
@@ -36,6 +60,8 @@ ChartJS.register(
  * - Detailed statistics comparison
  * - Test status breakdown analysis
  * - Performance metrics comparison
+ * - Test-level diff (newly failing, fixed, still failing, added, removed),
+ *   matched by historyId or full name, with links into the Allure viewer
  */
 const CompareReports = () => {
   const [availableReports, setAvailableReports] = useState([])
@@ -44,6 +70,12 @@ const CompareReports = () => {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState('')
   const [comparisonData, setComparisonData] = useState(null)
+  const [testDiff, setTestDiff] = useState(null)
+  const [isDiffLoading, setIsDiffLoading] = useState(false)
+  const [diffError, setDiffError] = useState('')
+  const [openSections, setOpenSections] = useState(
+    () => new Set(diffSections.filter(section => section.open).map(section => section.key))
+  )
 
   // Fetch available reports on component mount
   useEffect(() => {
@@ -53,13 +85,7 @@ const CompareReports = () => {
   const fetchAvailableReports = async () => {
     try {
       setIsLoading(true)
-      const response = await fetch('https://allure-telephony.onrender.com/api/reports')
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch reports')
-      }
-      
-      const data = await response.json()
+      const data = await apiJson('/api/reports')
       setAvailableReports(data.reports || [])
     } catch (err) {
       setError('Failed to load available reports: ' + err.message)
@@ -129,6 +155,42 @@ const CompareReports = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedReport1, selectedReport2, availableReports])
 
+  // Load both runs' test results and diff them test by test
+  useEffect(() => {
+    setTestDiff(null)
+    setDiffError('')
+    if (!selectedReport1 || !selectedReport2 || selectedReport1 === selectedReport2) return
+
+    let cancelled = false
+    const loadDiff = async () => {
+      try {
+        setIsDiffLoading(true)
+        const [results1, results2] = await Promise.all([
+          fetchRunResults(selectedReport1),
+          fetchRunResults(selectedReport2)
+        ])
+        if (!cancelled) setTestDiff(diffRunResults(results1, results2))
+      } catch (err) {
+        if (!cancelled) setDiffError('Failed to load test results: ' + err.message)
+      } finally {
+        if (!cancelled) setIsDiffLoading(false)
+      }
+    }
+    loadDiff()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedReport1, selectedReport2])
+
+  const toggleSection = (key) => {
+    setOpenSections(prev => {
+      const newSet = new Set(prev)
+      if (newSet.has(key)) newSet.delete(key)
+      else newSet.add(key)
+      return newSet
+    })
+  }
+
   // Chart configurations
   const createBarChartData = () => {
     if (!comparisonData) return null
@@ -281,7 +343,8 @@ const CompareReports = () => {
           <div className="px-6 py-4 border-b border-gray-200">
             <h1 className="text-2xl font-bold text-gray-900">Compare Test Reports</h1>
             <p className="mt-1 text-sm text-gray-600">
-              Select two reports to compare test results and analyze differences
+              Select two reports to compare test results and analyze differences.
+              To compare more runs, use the <Link to="/run-matrix" className="text-blue-600 hover:underline">Run Matrix</Link>.
             </p>
           </div>
 
@@ -504,6 +567,73 @@ const CompareReports = () => {
                   </table>
                 </div>
               </div>
+
+              {/* Test Differences */}
+              <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-medium text-gray-900">Test Differences</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Tests in {comparisonData.report2.name} compared with {comparisonData.report1.name}, matched by history id or full name
+                  </p>
+                </div>
+                <div className="px-6 py-4 space-y-3">
+                  {isDiffLoading && (
+                    <div className="flex items-center py-4">
+                      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                      <span className="ml-3 text-gray-600">Loading test results...</span>
+                    </div>
+                  )}
+                  {diffError && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{diffError}</div>
+                  )}
+                  {testDiff && diffSections.map(section => {
+                    const tests = testDiff[section.key]
+                    const isOpen = openSections.has(section.key)
+                    return (
+                      <div key={section.key} className={`border rounded-lg ${section.className}`}>
+                        <button
+                          onClick={() => toggleSection(section.key)}
+                          className="w-full flex items-center justify-between px-4 py-3 text-left font-medium"
+                        >
+                          <span>{section.icon} {section.title} ({tests.length})</span>
+                          <span className="text-sm">{isOpen ? '▲' : '▼'}</span>
+                        </button>
+                        {isOpen && (
+                          tests.length === 0 ? (
+                            <p className="px-4 pb-3 text-sm opacity-75">None</p>
+                          ) : (
+                            <ul className="bg-white divide-y divide-gray-100 rounded-b-lg">
+                              {tests.map(test => {
+                                const runId = test.after ? comparisonData.report2.name : comparisonData.report1.name
+                                return (
+                                  <li key={test.key} className="px-4 py-2 flex items-center justify-between gap-4 text-sm">
+                                    <div className="min-w-0">
+                                      <Link
+                                        to={viewerLink(runId, test.key)}
+                                        className="font-medium text-blue-600 hover:text-blue-800 hover:underline"
+                                      >
+                                        {test.name}
+                                      </Link>
+                                      {test.fullName && test.fullName !== test.name && (
+                                        <div className="text-xs text-gray-500 truncate">{test.fullName}</div>
+                                      )}
+                                    </div>
+                                    <div className="flex items-center gap-2 flex-shrink-0">
+                                      {test.before && <StatusBadge status={test.before.status} />}
+                                      {test.before && test.after && <span className="text-gray-400">→</span>}
+                                      {test.after && <StatusBadge status={test.after.status} />}
+                                    </div>
+                                  </li>
+                                )
+                              })}
+                            </ul>
+                          )
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
             </div>
           )}
 
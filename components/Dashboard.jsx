@@ -1,6 +1,8 @@
 import React, { useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useReports } from '../src/contexts/ReportsContext'
+import { API_BASE } from '../src/utils/apiClient.js'
+import TrendCharts from './TrendCharts'
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -8,8 +10,12 @@ const Dashboard = () => {
     reports, 
     summary, 
     loading, 
+    loadingMore,
+    hasMore,
     error, 
+    loadMoreError,
     getReports, 
+    loadMoreReports,
     getCacheStatus,
     shouldRefreshData 
   } = useReports();
@@ -36,6 +42,9 @@ const Dashboard = () => {
     }
   };
 
+  // Tests across the runs loaded so far; the server only counts the current page
+  const loadedTests = reports.reduce((sum, report) => sum + (report.summary?.statistic?.total || 0), 0);
+
   const handleReportClick = (runId) => {
     navigate(`/allure-viewer/${encodeURIComponent(runId)}`);
   };
@@ -58,7 +67,7 @@ const Dashboard = () => {
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
           <strong>Error:</strong> {error}
           <br />
-          <small>Make sure the server is running on https://allure-telephony.onrender.com</small>
+          <small>Make sure the server is running on {API_BASE}</small>
         </div>
       </div>
     );
@@ -92,7 +101,8 @@ const Dashboard = () => {
               <span className="font-medium">Total Reports:</span> {summary.totalReports}
             </div>
             <div>
-              <span className="font-medium">Total Tests:</span> {summary.totalTests}
+              <span className="font-medium">Total Tests:</span> {loadedTests}
+              {hasMore && <span className="text-gray-500"> (in {reports.length} loaded runs)</span>}
             </div>
             <div>
               <span className="font-medium">Last Updated:</span> {new Date(summary.lastUpdated).toLocaleString()}
@@ -101,6 +111,9 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Trends across the newest runs */}
+      <TrendCharts refreshKey={summary?.lastUpdated} />
+
       {/* Individual Reports */}
       <div className="grid gap-4 grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
         {reports.length === 0 ? (
@@ -137,6 +150,12 @@ const Dashboard = () => {
                   <span>⏭ Skipped:</span>
                   <span className="font-medium">{report.summary.statistic.skipped}</span>
                 </div>
+                {report.summary.statistic.passedOnRetry > 0 && (
+                  <div className="flex justify-between text-orange-600">
+                    <span>🔁 Passed on retry:</span>
+                    <span className="font-medium">{report.summary.statistic.passedOnRetry}</span>
+                  </div>
+                )}
               </div>
               
               {/* Success Rate */}
@@ -154,6 +173,22 @@ const Dashboard = () => {
           ))
         )}
       </div>
+
+      {/* Pagination */}
+      {hasMore && (
+        <div className="flex flex-col items-center gap-2 mt-6">
+          {loadMoreError && (
+            <p className="text-sm text-red-600">Could not load more runs: {loadMoreError}</p>
+          )}
+          <button
+            onClick={loadMoreReports}
+            disabled={loadingMore}
+            className="bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50 text-gray-700 px-6 py-2 rounded-lg transition-colors duration-200"
+          >
+            {loadingMore ? 'Loading...' : `Load more runs (${reports.length} of ${summary?.totalReports ?? '?'})`}
+          </button>
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { apiJson } from '../src/utils/apiClient.js'
+import { getStatusBadgeStyle } from '../src/utils/allureUtils.js'
+
+const RUN_WINDOWS = [10, 30, 60]
+
+const dotStyles = {
+  passed: 'bg-green-500',
+  failed: 'bg-red-500',
+  broken: 'bg-yellow-500',
+  skipped: 'bg-gray-300'
+}
+
+const scoreStyle = (score) => {
+  if (score >= 60) return { bar: 'bg-red-500', text: 'text-red-700' }
+  if (score >= 30) return { bar: 'bg-yellow-500', text: 'text-yellow-700' }
+  return { bar: 'bg-blue-500', text: 'text-blue-700' }
+}
+
+const viewerLink = (runId, testKey) =>
+  `/allure-viewer/${encodeURIComponent(runId)}?test=${encodeURIComponent(testKey)}`
+
+/**
+ * FlakyTests Component
+ *
+ * Tests whose results flap between runs, ranked by flakiness score.
+ * Features:
+ * - Score from status flips between runs and passes on retry within a run
+ * - Choose how many recent runs to look at
+ * - Status history per test, each run linking into the Allure viewer
+ * - Search by test name
+ */
+const FlakyTests = () => {
+  const [tests, setTests] = useState([])
+  const [runs, setRuns] = useState([])
+  const [runWindow, setRunWindow] = useState(RUN_WINDOWS[1])
+  const [search, setSearch] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setIsLoading(true)
+        setError('')
+        const data = await apiJson(`/api/flaky?runs=${runWindow}`)
+        setTests(data.tests || [])
+        setRuns(data.runs || [])
+      } catch (err) {
+        setError('Failed to load flaky tests: ' + err.message)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    load()
+  }, [runWindow])
+
+  const visibleTests = useMemo(() => {
+    const term = search.trim().toLowerCase()
+    if (!term) return tests
+    return tests.filter(test => `${test.name || ''} ${test.fullName || ''}`.toLowerCase().includes(term))
+  }, [tests, search])
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">Flaky Tests</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Tests that flip between passing and failing across runs, or only pass on a retry.
+              A real regression flips once and stays failed, so it scores low.
+            </p>
+          </div>
+
+          {/* Options */}
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex flex-wrap items-center gap-4">
+            <select
+              value={runWindow}
+              onChange={(e) => setRunWindow(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {RUN_WINDOWS.map(count => <option key={count} value={count}>Last {count} runs</option>)}
+            </select>
+            <input
+              type="text"
+              placeholder="Search by test name..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {!isLoading && (
+              <span className="ml-auto text-sm text-gray-500">
+                {visibleTests.length} flaky tests in {runs.length} runs
+              </span>
+            )}
+          </div>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <span className="ml-3 text-gray-600">Scoring tests...</span>
+              </div>
+            ) : visibleTests.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No flaky tests found in these runs</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Test</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flips</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Retry Passes</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Failed</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">History (oldest first)</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {visibleTests.map(test => {
+                      const style = scoreStyle(test.score)
+                      const lastStyle = getStatusBadgeStyle(test.lastStatus)
+                      const lastRunId = test.history[test.history.length - 1].runId
+                      return (
+                        <tr key={test.key}>
+                          <td className="px-4 py-3 text-sm whitespace-nowrap">
+                            <div className={`font-semibold ${style.text}`}>{test.score}</div>
+                            <div className="w-16 h-1.5 bg-gray-200 rounded">
+                              <div className={`h-1.5 rounded ${style.bar}`} style={{ width: `${test.score}%` }}></div>
+                            </div>
+                          </td>
+                          <td className="px-4 py-3 text-sm max-w-sm">
+                            <Link to={viewerLink(lastRunId, test.key)} className="font-medium text-blue-600 hover:text-blue-800 hover:underline">
+                              {test.name || test.fullName || test.key}
+                            </Link>
+                            {test.fullName && test.fullName !== test.name && (
+                              <div className="text-xs text-gray-500 truncate">{test.fullName}</div>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">{test.flips}</td>
+                          <td className="px-4 py-3 text-sm text-gray-700">{test.retryPasses}</td>
+                          <td className="px-4 py-3 text-sm text-gray-700">{test.failedRuns} / {test.executedRuns}</td>
+                          <td className="px-4 py-3 text-sm">
+                            <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${lastStyle.bg} ${lastStyle.text}`}>
+                              {lastStyle.icon} {test.lastStatus}
+                            </span>
+                          </td>
+                          <td className="px-4 py-3">
+                            <div className="flex items-center gap-1">
+                              {test.history.map(entry => (
+                                <Link
+                                  key={entry.runId}
+                                  to={viewerLink(entry.runId, test.key)}
+                                  title={`${entry.runId}: ${entry.status}${entry.attempts > 1 ? ` after ${entry.attempts} attempts` : ''}`}
+                                  className={`w-3 h-3 rounded-full ${dotStyles[entry.status] || 'bg-purple-400'} ${entry.passedOnRetry ? 'ring-2 ring-yellow-400' : ''}`}
+                                ></Link>
+                              ))}
+                            </div>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+                <p className="mt-3 text-xs text-gray-500">Dots ringed in yellow passed only after a retry.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FlakyTests
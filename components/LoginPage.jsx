@@ -1,28 +1,49 @@
-import { useState, React } from 'react'
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, React } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import myopbg from '../src/assets/MyOperator Telephony.jpg'
+import { apiFetch, apiUrl } from '../src/utils/apiClient.js'
+import { setSession } from '../src/utils/session.js'
 
 const LoginPage = () => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
-    const [error, setError] = useState('');
+    const [searchParams] = useSearchParams();
+    const [error, setError] = useState(searchParams.get('ssoError') || '');
+    const sessionExpired = searchParams.get('reason') === 'expired';
+    const [sso, setSso] = useState({ enabled: false, providerName: 'SSO' });
     const navigate = useNavigate();
 
+    // Offer single sign-on only when the server has a provider configured
+    useEffect(() => {
+        apiFetch('/auth/oidc/config', { auth: false })
+          .then((res) => (res.ok ? res.json() : null))
+          .then((config) => config && setSso(config))
+          .catch(() => {});
+    }, []);
+
+    const handleSso = () => {
+        window.location.assign(apiUrl('/auth/oidc/login'));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
     
         try {
-          const res = await fetch("https://allure-telephony.onrender.com/login", {
+          const res = await apiFetch('/login', {
             method: "POST",
+            auth: false,
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({ email, password }),
           });
     
-          if (!res.ok) throw new Error("Invalid credentials");
+          if (!res.ok) {
+            const body = await res.json().catch(() => ({}));
+            throw new Error(body.message || body.error || "Invalid email or password");
+          }
     
           const data = await res.json();
           console.log('Login successful, received token:', data.token ? 'yes' : 'no')
-          localStorage.setItem("token", data.token); // Save JWT
+          setSession(data); // Save access and refresh tokens
           console.log('Navigating to dashboard...')
           navigate("/dashboard"); // Redirect
         } catch (err) {
@@ -41,6 +62,11 @@ const LoginPage = () => {
             <h1 className="text-xl font-bold">Welcome to Telephony Testing Reports</h1>
             <p className="text-sm text-gray-500">Please sign-in to continue</p>
         </div>
+        {sessionExpired && !error && (
+          <div className="mt-4 px-3 py-2 rounded-sm bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+            Your session has expired. Please sign in again.
+          </div>
+        )}
         <div className="flex flex-col gap-2 mt-6">
             <form onSubmit={handleSubmit}>
             <div className="flex flex-col gap-2">
@@ -54,6 +80,18 @@ const LoginPage = () => {
             <button type="submit" className="cursor-pointer w-full mt-4 p-2 rounded-sm bg-[#8f3ad0] hover:bg-[#704d8d] transition-all duration-300 text-white shadow-lg shadow-[#bba5cc]">Login</button>
             {error && <p className="text-red-500">{error}</p>}
             </form>
+            {sso.enabled && (
+              <>
+                <div className="flex items-center gap-2 my-4 text-sm text-gray-400">
+                  <div className="flex-1 border-t border-gray-200"></div>
+                  or
+                  <div className="flex-1 border-t border-gray-200"></div>
+                </div>
+                <button type="button" onClick={handleSso} className="cursor-pointer w-full p-2 rounded-sm border-1 border-[#8f3ad0] text-[#8f3ad0] hover:bg-[#f5eefb] transition-all duration-300">
+                  Sign in with {sso.providerName}
+                </button>
+              </>
+            )}
         </div>
       </div>
     </div>
@@ -1,13 +1,50 @@
+import { useEffect } from "react";
 import { Navigate } from "react-router-dom";
+import { getToken, getRefreshToken, getTokenExpiry, getCurrentUser, clearSession } from "../src/utils/session.js";
+import { refreshSession, expireSession } from "../src/utils/apiClient.js";
 
-const ProtectedRoute = ({ children }) => {
-  const token = localStorage.getItem("token");
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+const ProtectedRoute = ({ children, roles }) => {
+  const token = getToken();
+  const expiry = getTokenExpiry();
+  const canRefresh = Boolean(getRefreshToken());
+  const isExpired = !expiry || expiry <= Date.now();
+
+  // Refresh silently shortly before expiry; sign out when that is no longer possible
+  useEffect(() => {
+    if (!token) return undefined;
+    let timer;
+    const schedule = () => {
+      const delay = Math.max((getTokenExpiry() || 0) - REFRESH_AHEAD_MS - Date.now(), 0);
+      timer = setTimeout(async () => {
+        if (await refreshSession()) {
+          schedule();
+        } else {
+          expireSession();
+        }
+      }, delay);
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [token]);
 
   if (!token) {
     return <Navigate to="/" replace />;
   }
 
+  if (isExpired && !canRefresh) {
+    clearSession();
+    return <Navigate to="/?reason=expired" replace />;
+  }
+
+  // Pages limited to some roles send everyone else back to the dashboard
+  if (roles && !roles.includes(getCurrentUser()?.role)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react'
+import { apiFetch, apiJson, apiUrl } from '../src/utils/apiClient.js'
+import { getCurrentUser } from '../src/utils/session.js'
 
 /**
  * ReportGenerator Component
@@ -7,6 +9,8 @@ import React, { useState, useEffect } from 'react'
  * Features:
  * - List of available Allure result folders
  * - Download buttons for each folder
+ * - Server-generated Allure HTML reports opened in a new tab
+ * - Run deletion for admins
  * - Instructions for running Allure reports locally
  * - Report statistics and summary information
  */
@@ -15,6 +19,9 @@ const ReportGenerator = () => {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState('')
   const [downloadingReports, setDownloadingReports] = useState(new Set())
+  const [generatingReports, setGeneratingReports] = useState(new Set())
+  const [deletingReports, setDeletingReports] = useState(new Set())
+  const canDelete = getCurrentUser()?.role === 'admin'
 
   // Fetch available reports on component mount
   useEffect(() => {
@@ -24,13 +31,7 @@ const ReportGenerator = () => {
   const fetchAvailableReports = async () => {
     try {
       setIsLoading(true)
-      const response = await fetch('https://allure-telephony.onrender.com/api/reports')
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch reports')
-      }
-      
-      const data = await response.json()
+      const data = await apiJson('/api/reports')
       setAvailableReports(data.reports || [])
     } catch (err) {
       setError('Failed to load available reports: ' + err.message)
@@ -46,11 +47,11 @@ const ReportGenerator = () => {
     try {
       console.log(`Starting download for ${runId}...`)
       
-      const response = await fetch(`https://allure-telephony.onrender.com/api/download-report/${encodeURIComponent(runId)}`)
+      const response = await apiFetch(`/api/download-report/${encodeURIComponent(runId)}`)
       
       if (!response.ok) {
-        const errorText = await response.text()
-        throw new Error(`Failed to download report: ${response.status} ${errorText}`)
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Failed to download report: ${response.status}`)
       }
       
       // Check if we have content-length for progress tracking
@@ -105,6 +106,58 @@ const ReportGenerator = () => {
     }
   }
 
+  const openHtmlReport = async (runId) => {
+    // Open the tab right away so the popup blocker sees a user action
+    const reportWindow = window.open('', '_blank')
+    setGeneratingReports(prev => new Set(prev).add(runId))
+    setError('')
+
+    try {
+      // Generating a large report can take a few minutes
+      const data = await apiJson(`/api/run/${encodeURIComponent(runId)}/html`, {
+        method: 'POST',
+        timeout: 5 * 60 * 1000
+      })
+
+      const url = apiUrl(data.url)
+      if (reportWindow) {
+        reportWindow.location.href = url
+      } else {
+        window.open(url, '_blank')
+      }
+    } catch (err) {
+      console.error(`Report generation error for ${runId}:`, err)
+      if (reportWindow) reportWindow.close()
+      setError(`Failed to generate report for ${runId}: ${err.details || err.message}`)
+    } finally {
+      setGeneratingReports(prev => {
+        const newSet = new Set(prev)
+        newSet.delete(runId)
+        return newSet
+      })
+    }
+  }
+
+  const deleteRun = async (runId) => {
+    if (!window.confirm(`Permanently delete ${runId} and all of its results? This cannot be undone.`)) return
+    setDeletingReports(prev => new Set(prev).add(runId))
+    setError('')
+
+    try {
+      await apiJson(`/api/runs/${encodeURIComponent(runId)}`, { method: 'DELETE' })
+      setAvailableReports(prev => prev.filter(report => report.runId !== runId))
+    } catch (err) {
+      console.error(`Delete error for ${runId}:`, err)
+      setError(`Failed to delete ${runId}: ${err.message}`)
+    } finally {
+      setDeletingReports(prev => {
+        const newSet = new Set(prev)
+        newSet.delete(runId)
+        return newSet
+      })
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -119,6 +172,10 @@ const ReportGenerator = () => {
 
           {/* Instructions */}
           <div className="px-6 py-4 bg-blue-50 border-b border-gray-200">
+            <p className="text-sm text-blue-800 mb-3">
+              Use <strong>Open HTML Report</strong> to view the full Allure report in your browser, no local setup needed.
+              The first open of a run takes a little while as the report is generated on the server.
+            </p>
             <h2 className="text-lg font-semibold text-blue-900 mb-2">📋 How to Generate Reports Locally</h2>
             <ol className="list-decimal list-inside text-sm text-blue-800 space-y-1">
               <li>Click the <strong>Download ZIP</strong> button below to get the result folder</li>
@@ -192,7 +249,30 @@ const ReportGenerator = () => {
                             Files: {report.summary?.totalFiles || 0}
                           </div>
                         </div>
-                        <div className="ml-6">
+                        <div className="ml-6 flex flex-col gap-2">
+                          <button
+                            onClick={() => openHtmlReport(report.runId)}
+                            disabled={generatingReports.has(report.runId)}
+                            className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
+                              generatingReports.has(report.runId)
+                                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                                : 'bg-purple-600 text-white hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'
+                            }`}
+                          >
+                            {generatingReports.has(report.runId) ? (
+                              <div className="flex items-center">
+                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                Generating...
+                              </div>
+                            ) : (
+                              <div className="flex items-center">
+                                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+                                </svg>
+                                Open HTML Report
+                              </div>
+                            )}
+                          </button>
                           <button
                             onClick={() => downloadReport(report.runId)}
                             disabled={downloadingReports.has(report.runId)}
@@ -216,6 +296,15 @@ const ReportGenerator = () => {
                               </div>
                             )}
                           </button>
+                          {canDelete && (
+                            <button
+                              onClick={() => deleteRun(report.runId)}
+                              disabled={deletingReports.has(report.runId)}
+                              className="px-4 py-2 rounded-md font-medium border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50 transition-colors duration-200"
+                            >
+                              {deletingReports.has(report.runId) ? 'Deleting...' : 'Delete Run'}
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react'
+import { apiJson } from '../src/utils/apiClient.js'
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B'
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Unknown')
+
+const reasonLabels = {
+  'keep-last': 'Beyond newest runs',
+  'max-age': 'Too old'
+}
+
+/**
+ * Retention Component
+ *
+ * Admin-only page for keeping storage in check.
+ * Features:
+ * - Rules: keep the newest N runs and/or delete runs older than X days
+ * - Scheduled cleanup that can be switched on and off
+ * - Dry-run preview of the runs that would be removed and the bytes freed
+ * - Pin runs so they are never deleted
+ */
+const Retention = () => {
+  const [settings, setSettings] = useState(null)
+  const [form, setForm] = useState({ keepLast: '', maxAgeDays: '', enabled: false })
+  const [runIds, setRunIds] = useState([])
+  const [runToPin, setRunToPin] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setIsLoading(true)
+        const [saved, reports] = await Promise.all([
+          apiJson('/api/retention'),
+          apiJson('/api/reports')
+        ])
+        setSettings(saved)
+        setForm({
+          keepLast: saved.keepLast ?? '',
+          maxAgeDays: saved.maxAgeDays ?? '',
+          enabled: saved.enabled
+        })
+        setRunIds((reports.reports || []).map(report => report.runId))
+      } catch (err) {
+        setError('Failed to load retention settings: ' + err.message)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    load()
+  }, [])
+
+  // Run an action while disabling the buttons, showing its error if it fails
+  const withBusy = async (name, action) => {
+    setBusy(name)
+    setError('')
+    setNotice('')
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const rules = () => ({
+    keepLast: form.keepLast === '' ? null : Number(form.keepLast),
+    maxAgeDays: form.maxAgeDays === '' ? null : Number(form.maxAgeDays)
+  })
+
+  const handlePreview = () => withBusy('preview', async () => {
+    setPreview(await apiJson('/api/retention/preview', { method: 'POST', body: rules() }))
+  })
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    withBusy('save', async () => {
+      const saved = await apiJson('/api/retention', {
+        method: 'PUT',
+        body: { ...rules(), enabled: form.enabled }
+      })
+      setSettings(saved)
+      setNotice('Retention rules saved')
+    })
+  }
+
+  const handleApply = () => {
+    if (!preview || preview.candidates.length === 0) return
+    if (!window.confirm(`Delete ${preview.candidates.length} run(s) and free ${formatBytes(preview.bytesFreed)} using the saved rules? This cannot be undone.`)) return
+    withBusy('apply', async () => {
+      const result = await apiJson('/api/retention/apply', { method: 'POST', timeout: 10 * 60 * 1000 })
+      const freed = result.deleted.reduce((sum, run) => sum + run.bytes, 0)
+      setNotice(`Deleted ${result.deleted.length} run(s), freed ${formatBytes(freed)}` +
+        (result.errors.length ? `. ${result.errors.length} run(s) could not be deleted.` : ''))
+      const deletedIds = new Set(result.deleted.map(run => run.runId))
+      setRunIds(prev => prev.filter(runId => !deletedIds.has(runId)))
+      setPreview(null)
+      setSettings(await apiJson('/api/retention'))
+    })
+  }
+
+  const togglePin = (runId, pin) => withBusy(`pin:${runId}`, async () => {
+    const data = await apiJson(`/api/runs/${encodeURIComponent(runId)}/pin`, { method: pin ? 'PUT' : 'DELETE' })
+    setSettings(prev => ({ ...prev, pinned: data.pinned }))
+    if (pin && preview) {
+      setPreview(prev => {
+        const candidates = prev.candidates.filter(run => run.runId !== runId)
+        return { ...prev, candidates, bytesFreed: candidates.reduce((sum, run) => sum + run.bytes, 0) }
+      })
+    }
+    setRunToPin('')
+  })
+
+  const previewMatchesSaved = preview && settings &&
+    preview.rules.keepLast === settings.keepLast && preview.rules.maxAgeDays === settings.maxAgeDays
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading retention settings...</span>
+      </div>
+    )
+  }
+
+  const pinned = settings?.pinned || []
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">Retention</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Delete old runs automatically. Pinned runs are always kept and do not count towards the newest runs kept.
+            </p>
+          </div>
+
+          {/* Rules */}
+          <form onSubmit={handleSave} className="px-6 py-6 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Rules</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <label className="flex flex-col gap-1 text-sm text-gray-700">
+                Keep the newest unpinned runs
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="No limit"
+                  value={form.keepLast}
+                  onChange={(e) => setForm(prev => ({ ...prev, keepLast: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-sm text-gray-700">
+                Delete runs older than (days)
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Never"
+                  value={form.maxAgeDays}
+                  onChange={(e) => setForm(prev => ({ ...prev, maxAgeDays: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 py-2">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Apply automatically every day
+              </label>
+            </div>
+            <div className="mt-4 flex flex-wrap gap-3">
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={Boolean(busy)}
+                className="px-4 py-2 rounded-md font-medium border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 transition-colors duration-200"
+              >
+                {busy === 'preview' ? 'Calculating...' : 'Preview (dry run)'}
+              </button>
+              <button
+                type="submit"
+                disabled={Boolean(busy)}
+                className="px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 transition-colors duration-200"
+              >
+                {busy === 'save' ? 'Saving...' : 'Save Rules'}
+              </button>
+            </div>
+            {settings?.lastRun && (
+              <p className="mt-4 text-sm text-gray-500">
+                Last cleanup {formatDate(settings.lastRun.at)}: {settings.lastRun.deleted} run(s) deleted,
+                {' '}{formatBytes(settings.lastRun.bytesFreed)} freed
+                {settings.lastRun.errors > 0 && `, ${settings.lastRun.errors} error(s)`}
+              </p>
+            )}
+          </form>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+            {notice && (
+              <div className="mb-4 bg-green-50 border border-green-200 text-green-800 rounded-md p-4 text-sm">{notice}</div>
+            )}
+
+            {/* Preview */}
+            {preview && (
+              <div className="mb-8">
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-lg font-medium text-gray-900">Preview</h2>
+                  <button
+                    onClick={handleApply}
+                    disabled={Boolean(busy) || !previewMatchesSaved || preview.candidates.length === 0}
+                    title={previewMatchesSaved ? '' : 'Save these rules before applying them'}
+                    className="px-4 py-2 rounded-md font-medium bg-red-600 text-white hover:bg-red-700 disabled:bg-gray-300 transition-colors duration-200"
+                  >
+                    {busy === 'apply' ? 'Deleting...' : 'Apply Now'}
+                  </button>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  <div className="bg-red-50 p-4 rounded-lg">
+                    <div className="text-2xl font-bold text-red-600">{preview.candidates.length}</div>
+                    <div className="text-sm text-red-700">Runs to delete</div>
+                  </div>
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <div className="text-2xl font-bold text-blue-600">{formatBytes(preview.bytesFreed)}</div>
+                    <div className="text-sm text-blue-700">Storage freed</div>
+                  </div>
+                  <div className="bg-green-50 p-4 rounded-lg">
+                    <div className="text-2xl font-bold text-green-600">{preview.totalRuns - preview.candidates.length}</div>
+                    <div className="text-sm text-green-700">Runs kept ({preview.pinnedKept} pinned)</div>
+                  </div>
+                </div>
+                {!previewMatchesSaved && (
+                  <p className="mb-3 text-sm text-yellow-700">These rules are not saved yet. Save them to apply them.</p>
+                )}
+                {preview.candidates.length === 0 ? (
+                  <div className="text-center py-6 text-gray-500">Nothing would be deleted</div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                          <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                          <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {preview.candidates.map(run => (
+                          <tr key={run.runId}>
+                            <td className="px-6 py-3 text-sm font-medium text-gray-900">{run.runId}</td>
+                            <td className="px-6 py-3 text-sm text-gray-700">{formatDate(run.date)}</td>
+                            <td className="px-6 py-3 text-sm text-gray-700">{run.reasons.map(reason => reasonLabels[reason] || reason).join(', ')}</td>
+                            <td className="px-6 py-3 text-sm text-gray-700 text-right">{formatBytes(run.bytes)}</td>
+                            <td className="px-6 py-3 text-sm text-right">
+                              <button
+                                onClick={() => togglePin(run.runId, true)}
+                                disabled={Boolean(busy)}
+                                className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                              >
+                                📌 Pin
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Pinned Runs */}
+            <h2 className="text-lg font-medium text-gray-900 mb-3">Pinned Runs</h2>
+            <div className="flex gap-3 mb-4">
+              <select
+                value={runToPin}
+                onChange={(e) => setRunToPin(e.target.value)}
+                className={`flex-1 ${inputClass}`}
+              >
+                <option value="">Choose a run to pin...</option>
+                {runIds.filter(runId => !pinned.includes(runId)).map(runId => (
+                  <option key={runId} value={runId}>{runId}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => togglePin(runToPin, true)}
+                disabled={!runToPin || Boolean(busy)}
+                className="px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 transition-colors duration-200"
+              >
+                Pin Run
+              </button>
+            </div>
+            {pinned.length === 0 ? (
+              <p className="text-sm text-gray-500">No pinned runs</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {pinned.map(runId => (
+                  <li key={runId} className="flex items-center justify-between px-4 py-2 text-sm">
+                    <span className="text-gray-900">📌 {runId}</span>
+                    <button
+                      onClick={() => togglePin(runId, false)}
+                      disabled={Boolean(busy)}
+                      className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Unpin
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Retention
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { apiJson } from '../src/utils/apiClient.js'
+import { getStatusBadgeStyle, formatDuration } from '../src/utils/allureUtils.js'
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+)
+
+const cellStyles = {
+  passed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  broken: 'bg-yellow-100 text-yellow-800',
+  skipped: 'bg-gray-100 text-gray-600'
+}
+
+// Run ids embed their timestamp after this prefix; the rest is enough for column headers
+const shortRunId = (runId) => runId.replace(/^allure-results-/, '')
+
+const formatRunDate = (time) => (time ? new Date(time).toLocaleString() : 'Unknown date')
+
+const buildQuery = (mode, selectedRuns, range) => {
+  const params = new URLSearchParams()
+  if (mode === 'runs') {
+    params.set('runIds', selectedRuns.join(','))
+  } else {
+    if (range.from) params.set('from', new Date(`${range.from}T00:00:00`).toISOString())
+    if (range.to) params.set('to', new Date(`${range.to}T23:59:59.999`).toISOString())
+  }
+  return params.toString()
+}
+
+const chartOptions = (title, yLabel) => ({
+  responsive: true,
+  plugins: {
+    legend: { position: 'top' },
+    title: { display: true, text: title }
+  },
+  scales: {
+    y: { beginAtZero: true, title: { display: true, text: yLabel } }
+  }
+})
+
+/**
+ * RunMatrix Component
+ *
+ * Compares any number of runs test by test.
+ * Features:
+ * - Pick runs from a list, or every run started within a date range
+ * - Pass rate and run duration across the runs as line charts
+ * - Matrix of tests (rows) by runs (columns) with status cells
+ * - Filter by test name and show only tests whose status changed
+ * - Cells link into the Allure viewer for that run and test
+ */
+const RunMatrix = () => {
+  const [availableReports, setAvailableReports] = useState([])
+  const [mode, setMode] = useState('runs')
+  const [selectedRuns, setSelectedRuns] = useState([])
+  const [range, setRange] = useState({ from: '', to: '' })
+  const [matrix, setMatrix] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isComparing, setIsComparing] = useState(false)
+  const [error, setError] = useState('')
+  const [search, setSearch] = useState('')
+  const [changedOnly, setChangedOnly] = useState(false)
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setIsLoading(true)
+        const data = await apiJson('/api/reports?sort=-runId')
+        setAvailableReports(data.reports || [])
+      } catch (err) {
+        setError('Failed to load available reports: ' + err.message)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    load()
+  }, [])
+
+  const toggleRun = (runId) => {
+    setSelectedRuns(prev => (prev.includes(runId) ? prev.filter(id => id !== runId) : [...prev, runId]))
+  }
+
+  const canCompare = mode === 'runs' ? selectedRuns.length >= 2 : Boolean(range.from || range.to)
+
+  const handleCompare = async (e) => {
+    e.preventDefault()
+    try {
+      setIsComparing(true)
+      setError('')
+      setMatrix(await apiJson(`/api/compare?${buildQuery(mode, selectedRuns, range)}`))
+    } catch (err) {
+      setError('Failed to compare runs: ' + err.message)
+      setMatrix(null)
+    } finally {
+      setIsComparing(false)
+    }
+  }
+
+  const visibleTests = useMemo(() => {
+    if (!matrix) return []
+    const term = search.trim().toLowerCase()
+    return matrix.tests.filter(test => {
+      if (term && !`${test.name || ''} ${test.fullName || ''}`.toLowerCase().includes(term)) return false
+      if (changedOnly) {
+        const statuses = new Set(test.cells.map(cell => cell?.status || 'missing'))
+        if (statuses.size < 2) return false
+      }
+      return true
+    })
+  }, [matrix, search, changedOnly])
+
+  const labels = matrix ? matrix.runs.map(run => shortRunId(run.runId)) : []
+
+  const passRateData = matrix && {
+    labels,
+    datasets: [
+      {
+        label: 'Pass rate (%)',
+        data: matrix.runs.map(run => run.passRate),
+        borderColor: 'rgba(34, 197, 94, 1)',
+        backgroundColor: 'rgba(34, 197, 94, 0.2)',
+        tension: 0.2
+      },
+      {
+        label: 'Failed + broken',
+        data: matrix.runs.map(run => (run.statistic.failed || 0) + (run.statistic.broken || 0)),
+        borderColor: 'rgba(239, 68, 68, 1)',
+        backgroundColor: 'rgba(239, 68, 68, 0.2)',
+        tension: 0.2,
+        yAxisID: 'count'
+      }
+    ]
+  }
+
+  const durationData = matrix && {
+    labels,
+    datasets: [
+      {
+        label: 'Run duration (minutes)',
+        data: matrix.runs.map(run => (run.duration !== null ? Math.round(run.duration / 600) / 100 : null)),
+        borderColor: 'rgba(59, 130, 246, 1)',
+        backgroundColor: 'rgba(59, 130, 246, 0.2)',
+        tension: 0.2
+      }
+    ]
+  }
+
+  const passRateOptions = {
+    ...chartOptions('Pass Rate Across Runs', 'Pass rate (%)'),
+    scales: {
+      y: { beginAtZero: true, max: 100, title: { display: true, text: 'Pass rate (%)' } },
+      count: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Tests' } }
+    }
+  }
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">Run Matrix</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Compare many runs test by test, e.g. a week of nightly runs
+            </p>
+          </div>
+
+          {/* Run Selection */}
+          <form onSubmit={handleCompare} className="px-6 py-6 border-b border-gray-200 bg-gray-50">
+            <div className="flex gap-6 mb-4 text-sm">
+              <label className="flex items-center gap-2 text-gray-700">
+                <input type="radio" checked={mode === 'runs'} onChange={() => setMode('runs')} />
+                Pick runs
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                <input type="radio" checked={mode === 'range'} onChange={() => setMode('range')} />
+                Date range
+              </label>
+            </div>
+
+            {mode === 'runs' ? (
+              isLoading ? (
+                <div className="flex items-center py-4">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                  <span className="ml-3 text-gray-600">Loading reports...</span>
+                </div>
+              ) : (
+                <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-md bg-white divide-y divide-gray-100">
+                  {availableReports.map(report => (
+                    <label key={report.runId} className="flex items-center gap-3 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                      <input
+                        type="checkbox"
+                        checked={selectedRuns.includes(report.runId)}
+                        onChange={() => toggleRun(report.runId)}
+                      />
+                      <span className="font-medium">{report.runId}</span>
+                      <span className="text-gray-500">{formatRunDate(report.summary?.time?.start)}</span>
+                      <span className="ml-auto text-gray-500">{report.summary?.statistic?.total || 0} tests</span>
+                    </label>
+                  ))}
+                </div>
+              )
+            ) : (
+              <div className="flex flex-wrap gap-3 items-center">
+                <input
+                  type="date"
+                  value={range.from}
+                  onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+                  className={inputClass}
+                  title="From"
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="date"
+                  value={range.to}
+                  onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+                  className={inputClass}
+                  title="To"
+                />
+              </div>
+            )}
+
+            <div className="mt-4 flex items-center gap-4">
+              <button
+                type="submit"
+                disabled={!canCompare || isComparing}
+                className="px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 transition-colors duration-200"
+              >
+                {isComparing ? 'Comparing...' : 'Compare'}
+              </button>
+              {mode === 'runs' && (
+                <span className="text-sm text-gray-500">{selectedRuns.length} selected, pick at least two</span>
+              )}
+            </div>
+          </form>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+
+            {matrix && matrix.runs.length === 0 && (
+              <div className="text-center py-8 text-gray-500">No runs started in this date range</div>
+            )}
+
+            {matrix && matrix.runs.length > 0 && (
+              <div className="space-y-8">
+                {/* Charts */}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                  <div className="bg-white p-6 border border-gray-200 rounded-lg">
+                    <Line data={passRateData} options={passRateOptions} />
+                  </div>
+                  <div className="bg-white p-6 border border-gray-200 rounded-lg">
+                    <Line data={durationData} options={chartOptions('Run Duration', 'Minutes')} />
+                  </div>
+                </div>
+
+                {/* Matrix */}
+                <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-4">
+                    <h3 className="text-lg font-medium text-gray-900">Tests by Run</h3>
+                    <input
+                      type="text"
+                      placeholder="Search by test name..."
+                      value={search}
+                      onChange={(e) => setSearch(e.target.value)}
+                      className={inputClass}
+                    />
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input type="checkbox" checked={changedOnly} onChange={(e) => setChangedOnly(e.target.checked)} />
+                      Only tests whose status changed
+                    </label>
+                    <span className="ml-auto text-sm text-gray-500">
+                      Showing {visibleTests.length} of {matrix.tests.length} tests
+                    </span>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider sticky left-0 bg-gray-50">Test</th>
+                          {matrix.runs.map(run => (
+                            <th
+                              key={run.runId}
+                              title={`${run.runId}\n${formatRunDate(run.start)}`}
+                              className="px-2 py-3 text-center text-xs font-medium text-gray-500 whitespace-nowrap"
+                            >
+                              <div>{shortRunId(run.runId)}</div>
+                              <div className="font-normal normal-case">{run.passRate !== null ? `${run.passRate}%` : '—'}</div>
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {visibleTests.map(test => (
+                          <tr key={test.key}>
+                            <td className="px-4 py-2 text-sm text-gray-900 sticky left-0 bg-white max-w-xs">
+                              <div className="truncate" title={test.fullName || test.name}>{test.name || test.fullName || test.key}</div>
+                            </td>
+                            {test.cells.map((cell, index) => {
+                              const runId = matrix.runs[index].runId
+                              if (!cell) {
+                                return <td key={runId} className="px-2 py-2 text-center text-xs text-gray-300">—</td>
+                              }
+                              return (
+                                <td key={runId} className="px-2 py-2 text-center">
+                                  <Link
+                                    to={`/allure-viewer/${encodeURIComponent(runId)}?test=${encodeURIComponent(test.key)}`}
+                                    title={`${cell.status}${cell.duration !== null ? `, ${formatDuration(cell.duration)}` : ''}`}
+                                    className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${cellStyles[cell.status] || 'bg-purple-100 text-purple-800'}`}
+                                  >
+                                    {getStatusBadgeStyle(cell.status).icon}
+                                  </Link>
+                                </td>
+                              )
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {!matrix && !error && (
+              <div className="text-center py-8 text-gray-500">Pick runs or a date range above to build the matrix</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RunMatrix
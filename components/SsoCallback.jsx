@@ -0,0 +1,33 @@
+import { useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { setSession } from '../src/utils/session.js'
+
+// Landing page after single sign-on: the server puts our tokens in the URL fragment
+const SsoCallback = () => {
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1))
+    const token = params.get('token')
+    const refreshToken = params.get('refreshToken')
+
+    // Drop the tokens from the address bar and history
+    window.history.replaceState(null, '', window.location.pathname)
+
+    if (token) {
+      setSession({ token, refreshToken })
+      navigate('/dashboard', { replace: true })
+    } else {
+      navigate(`/?ssoError=${encodeURIComponent('Single sign-on did not return a session')}`, { replace: true })
+    }
+  }, [navigate])
+
+  return (
+    <div className="w-full h-screen flex items-center justify-center bg-[#f9fbfc]">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      <span className="ml-3 text-gray-600">Signing you in...</span>
+    </div>
+  )
+}
+
+export default SsoCallback
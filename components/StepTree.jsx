@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { getStatusBadgeStyle, formatDuration } from '../src/utils/allureUtils.js';
+import AttachmentPreview from './AttachmentPreview';
+
+const FAILING_STATUSES = ['failed', 'broken'];
+
+const stepId = (path) => path.join('.');
+
+// Path to the first failing step, following failing children down to the deepest one
+const firstFailurePath = (steps, path = []) => {
+  const index = (steps || []).findIndex((step) => FAILING_STATUSES.includes(step.status));
+  if (index === -1) return path;
+  return firstFailurePath(steps[index].steps, [...path, index]);
+};
+
+const StepNode = ({ step, path, runId, expanded, onToggle, failedId }) => {
+  const id = stepId(path);
+  const isOpen = expanded.has(id);
+  const isFailure = id === failedId;
+  const style = getStatusBadgeStyle(step.status);
+  const children = step.steps || [];
+  const attachments = step.attachments || [];
+  const parameters = step.parameters || [];
+  const message = step.statusDetails?.message;
+  const hasDetails = children.length > 0 || attachments.length > 0 || parameters.length > 0 || Boolean(message || step.statusDetails?.trace);
+
+  return (
+    <li className={`pl-3 border-l-2 ${FAILING_STATUSES.includes(step.status) ? 'border-red-300' : 'border-gray-200'}`}>
+      <div
+        className={`flex items-center gap-2 py-1 text-sm rounded ${hasDetails ? 'cursor-pointer hover:bg-gray-50' : ''} ${
+          isFailure ? 'bg-red-50 ring-1 ring-red-300 px-1' : ''
+        }`}
+        onClick={() => hasDetails && onToggle(id)}
+      >
+        <span className={`w-3 text-xs text-gray-500 ${hasDetails ? '' : 'invisible'}`}>{isOpen ? '▼' : '▶'}</span>
+        <span className="text-xs">{style.icon}</span>
+        <span className={`flex-1 ${isFailure ? 'font-semibold text-red-800' : 'text-gray-700'}`}>{step.name || 'Unnamed step'}</span>
+        {attachments.length > 0 && <span className="text-xs text-gray-400">📎 {attachments.length}</span>}
+        {step.start && step.stop && (
+          <span className="text-xs text-gray-400 whitespace-nowrap">{formatDuration(step.stop - step.start)}</span>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="ml-5 mb-2">
+          {parameters.length > 0 && (
+            <table className="mt-1 text-xs">
+              <tbody>
+                {parameters.map((param, index) => (
+                  <tr key={index}>
+                    <td className="pr-3 py-0.5 text-gray-500 align-top">{param.name}</td>
+                    <td className="py-0.5 font-mono text-gray-800 break-all">{param.mode === 'masked' ? '••••••' : String(param.value ?? '')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {message && (
+            <p className="mt-1 text-xs text-red-700 bg-red-50 rounded px-2 py-1 whitespace-pre-wrap break-words">{message}</p>
+          )}
+          {step.statusDetails?.trace && (
+            <details className="mt-1 text-xs">
+              <summary className="cursor-pointer text-gray-500">Stack trace</summary>
+              <pre className="mt-1 max-h-60 overflow-auto whitespace-pre-wrap break-words bg-gray-50 rounded p-2 text-gray-700">
+                {step.statusDetails.trace}
+              </pre>
+            </details>
+          )}
+
+          {attachments.map((attachment, index) => (
+            <AttachmentPreview key={attachment.source || index} runId={runId} attachment={attachment} />
+          ))}
+
+          {children.length > 0 && (
+            <ul className="mt-1 space-y-0.5">
+              {children.map((child, index) => (
+                <StepNode
+                  key={index}
+                  step={child}
+                  path={[...path, index]}
+                  runId={runId}
+                  expanded={expanded}
+                  onToggle={onToggle}
+                  failedId={failedId}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * StepTree Component
+ *
+ * Expandable tree of a test's nested Allure steps.
+ * Features:
+ * - Status and duration of every step, with parameters, failure message and trace when expanded
+ * - Step attachments shown inline (images, logs, JSON)
+ * - The first failing step is highlighted and opened along with its parents
+ * - Expand or collapse all steps
+ */
+const StepTree = ({ steps, runId }) => {
+  const failurePath = firstFailurePath(steps);
+  const failedId = failurePath.length > 0 ? stepId(failurePath) : null;
+  const [expanded, setExpanded] = useState(
+    () => new Set(failurePath.map((_, index) => stepId(failurePath.slice(0, index + 1))))
+  );
+
+  if (!steps || steps.length === 0) return null;
+
+  const toggle = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const expandAll = () => {
+    const ids = new Set();
+    const walk = (list, path) => list.forEach((step, index) => {
+      ids.add(stepId([...path, index]));
+      walk(step.steps || [], [...path, index]);
+    });
+    walk(steps, []);
+    setExpanded(ids);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-700">📋 Steps:</h4>
+        <div className="flex gap-3 text-xs text-gray-500">
+          <button onClick={expandAll} className="hover:text-blue-600">Expand all</button>
+          <button onClick={() => setExpanded(new Set())} className="hover:text-blue-600">Collapse all</button>
+        </div>
+      </div>
+      <ul className="space-y-0.5">
+        {steps.map((step, index) => (
+          <StepNode
+            key={index}
+            step={step}
+            path={[index]}
+            runId={runId}
+            expanded={expanded}
+            onToggle={toggle}
+            failedId={failedId}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default StepTree;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { getStatusBadgeStyle, formatDuration } from '../src/utils/allureUtils.js';
+
+const FixtureGroup = ({ title, fixtures }) => (
+  <div>
+    <h4 className="text-sm font-medium text-gray-700 mb-2">{title}</h4>
+    <div className="space-y-1">
+      {fixtures.map((fixture, index) => {
+        const style = getStatusBadgeStyle(fixture.status);
+        return (
+          <div key={index} className="text-sm text-gray-600 pl-4 border-l-2 border-gray-200">
+            <div className="flex items-center gap-2">
+              <span className="font-medium">{fixture.name || 'Unnamed fixture'}</span>
+              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${style.bg} ${style.text}`}>
+                {style.icon} {fixture.status}
+              </span>
+              {fixture.start && fixture.stop && (
+                <span className="text-xs text-gray-400">{formatDuration(fixture.stop - fixture.start)}</span>
+              )}
+            </div>
+            {fixture.statusDetails?.message && (
+              <p className="text-xs text-red-700 mt-1 break-words">{fixture.statusDetails.message}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+/**
+ * TestFixtures Component
+ *
+ * Set-up and tear-down fixtures that Allure containers ran around a test.
+ * Features:
+ * - Name, status and duration of every before/after fixture
+ * - Failure message of fixtures that failed, e.g. a SIP registration that broke set-up
+ */
+const TestFixtures = ({ befores = [], afters = [] }) => {
+  if (befores.length === 0 && afters.length === 0) return null;
+
+  return (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+      {befores.length > 0 && <FixtureGroup title="🔧 Set up:" fixtures={befores} />}
+      {afters.length > 0 && <FixtureGroup title="🧹 Tear down:" fixtures={afters} />}
+    </div>
+  );
+};
+
+export default TestFixtures;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDuration } from '../src/utils/allureUtils.js';
+
+const cellStyles = {
+  passed: 'bg-green-500',
+  failed: 'bg-red-500',
+  broken: 'bg-yellow-500',
+  skipped: 'bg-gray-400',
+};
+
+const cellTitle = (run, cell) => {
+  const date = run.start ? ` (${new Date(run.start).toLocaleString()})` : '';
+  if (!cell) return `${run.runId}${date}: not run`;
+  const parts = [`${run.runId}${date}: ${cell.status}`];
+  if (cell.duration !== null) parts.push(formatDuration(cell.duration));
+  if (cell.message) parts.push(cell.message);
+  return parts.join('\n');
+};
+
+/**
+ * TestHistory Component
+ *
+ * One test's results over the last runs, as a strip of coloured cells.
+ * Features:
+ * - Status, duration and failure message of each run on hover
+ * - Each cell links to the test in that run; the current run is outlined
+ * - The newest failure message is shown below the strip
+ */
+const TestHistory = ({ runs, cells, testKey, currentRunId }) => {
+  if (!runs || !cells) return null;
+
+  const isFailure = (cell) => cell && (cell.status === 'failed' || cell.status === 'broken');
+  const lastFailure = [...cells].reverse().find((cell) => isFailure(cell) && cell.message);
+  const failedRuns = cells.filter(isFailure).length;
+  const ranRuns = cells.filter(Boolean).length;
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-sm font-medium text-gray-700 mb-2">
+        📈 History: <span className="font-normal text-gray-500">failed in {failedRuns} of the last {ranRuns} runs</span>
+      </h4>
+      <div className="flex items-center gap-1">
+        {runs.map((run, index) => {
+          const cell = cells[index];
+          const isCurrent = run.runId === currentRunId;
+          const className = `block w-6 h-6 rounded ${cell ? cellStyles[cell.status] || 'bg-purple-400' : 'bg-gray-100 border border-dashed border-gray-300'} ${isCurrent ? 'ring-2 ring-offset-1 ring-blue-600' : ''}`;
+          return cell && !isCurrent ? (
+            <Link
+              key={run.runId}
+              to={`/allure-viewer/${encodeURIComponent(run.runId)}?test=${encodeURIComponent(testKey)}`}
+              title={cellTitle(run, cell)}
+              className={`${className} hover:opacity-75`}
+            ></Link>
+          ) : (
+            <span key={run.runId} title={cellTitle(run, cell)} className={className}></span>
+          );
+        })}
+      </div>
+      {lastFailure && (
+        <p className="mt-2 text-xs text-red-700 bg-red-50 rounded px-2 py-1 break-words">
+          Latest failure: {lastFailure.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TestHistory;
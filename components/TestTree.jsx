@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from 'react';
+import { TREE_VIEWS, buildTestTree, treeNodeId } from '../src/utils/allureUtils.js';
+
+const StatusCounts = ({ counts }) => (
+  <span className="flex items-center gap-1 text-xs flex-shrink-0">
+    {counts.passed > 0 && <span className="px-1.5 rounded bg-green-100 text-green-800">{counts.passed}</span>}
+    {counts.failed > 0 && <span className="px-1.5 rounded bg-red-100 text-red-800">{counts.failed}</span>}
+    {counts.broken > 0 && <span className="px-1.5 rounded bg-yellow-100 text-yellow-800">{counts.broken}</span>}
+    {counts.skipped > 0 && <span className="px-1.5 rounded bg-gray-100 text-gray-700">{counts.skipped}</span>}
+    {counts.unknown > 0 && <span className="px-1.5 rounded bg-purple-100 text-purple-800">{counts.unknown}</span>}
+  </span>
+);
+
+const TreeNode = ({ node, depth, expanded, onToggle, selectedId, onSelect }) => {
+  const isOpen = expanded.has(node.id);
+  const isSelected = node.id === selectedId;
+  const hasChildren = node.children.length > 0;
+
+  return (
+    <li>
+      <div
+        className={`flex items-center gap-1 pr-2 py-1 rounded cursor-pointer text-sm ${
+          isSelected ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+        }`}
+        style={{ paddingLeft: `${depth * 12 + 4}px` }}
+        onClick={() => onSelect(node)}
+      >
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(node.id);
+          }}
+          className={`w-4 text-xs text-gray-500 ${hasChildren ? '' : 'invisible'}`}
+          aria-label={isOpen ? 'Collapse' : 'Expand'}
+        >
+          {isOpen ? '▼' : '▶'}
+        </button>
+        <span className="flex-1 truncate" title={node.name}>{node.name}</span>
+        <StatusCounts counts={node.counts} />
+      </div>
+      {hasChildren && isOpen && (
+        <ul>
+          {node.children.map((child) => (
+            <TreeNode
+              key={child.id}
+              node={child}
+              depth={depth + 1}
+              expanded={expanded}
+              onToggle={onToggle}
+              selectedId={selectedId}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * TestTree Component
+ *
+ * Collapsible tree of a run's tests for navigating large runs.
+ * Features:
+ * - Suites view (parentSuite/suite/subSuite) and Behaviors view (epic/feature/story)
+ * - Passed/failed/broken/skipped counts on every node
+ * - Clicking a node selects that branch; clicking it again clears the selection
+ * - Expand or collapse all
+ */
+const TestTree = ({ results, view, onViewChange, selectedPath, onSelectPath }) => {
+  const tree = useMemo(() => buildTestTree(results, view), [results, view]);
+  // A branch selected from a shared link starts with its parents expanded
+  const [expanded, setExpanded] = useState(
+    () => new Set((selectedPath || []).slice(0, -1).map((name, index) => treeNodeId(selectedPath.slice(0, index + 1))))
+  );
+  const selectedId = selectedPath ? treeNodeId(selectedPath) : '';
+
+  const toggle = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const expandAll = () => {
+    const ids = new Set();
+    const walk = (node) => {
+      ids.add(node.id);
+      node.children.forEach(walk);
+    };
+    tree.children.forEach(walk);
+    setExpanded(ids);
+  };
+
+  const handleSelect = (node) => {
+    onSelectPath(node.id === selectedId ? null : node.path);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex rounded-md border border-gray-300 overflow-hidden mb-3 text-sm">
+        {Object.entries(TREE_VIEWS).map(([key, option]) => (
+          <button
+            key={key}
+            onClick={() => onViewChange(key)}
+            className={`flex-1 px-3 py-1.5 ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <button onClick={expandAll} className="hover:text-blue-600">Expand all</button>
+        <button onClick={() => setExpanded(new Set())} className="hover:text-blue-600">Collapse all</button>
+      </div>
+
+      <div
+        className={`flex items-center gap-1 px-2 py-1 rounded cursor-pointer text-sm font-medium ${
+          selectedId === '' ? 'bg-blue-100 text-blue-800' : 'text-gray-800 hover:bg-gray-100'
+        }`}
+        onClick={() => onSelectPath(null)}
+      >
+        <span className="flex-1">All tests</span>
+        <StatusCounts counts={tree.counts} />
+      </div>
+
+      <ul className="max-h-[70vh] overflow-y-auto">
+        {tree.children.map((node) => (
+          <TreeNode
+            key={node.id}
+            node={node}
+            depth={0}
+            expanded={expanded}
+            onToggle={toggle}
+            selectedId={selectedId}
+            onSelect={handleSelect}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TestTree;
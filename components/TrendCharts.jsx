@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { apiJson } from '../src/utils/apiClient.js';
+import { formatDuration } from '../src/utils/allureUtils.js';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const RUN_COUNTS = [10, 30, 90];
+
+const runLabel = (run) =>
+  run.start
+    ? new Date(run.start).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : run.runId;
+
+const line = (label, data, color) => ({
+  label,
+  data,
+  borderColor: `rgba(${color}, 1)`,
+  backgroundColor: `rgba(${color}, 0.2)`,
+  pointRadius: 4,
+  pointHoverRadius: 6,
+  tension: 0.2,
+});
+
+/**
+ * TrendCharts Component
+ *
+ * Trends across the newest runs, shown on the Dashboard.
+ * Features:
+ * - Pass rate, failed/broken counts, total tests and run duration over time
+ * - Choose how many recent runs to chart
+ * - Clicking a point opens that run in the Allure viewer
+ * - Reloads when `refreshKey` changes, e.g. after a Dashboard refresh
+ */
+const TrendCharts = ({ refreshKey }) => {
+  const navigate = useNavigate();
+  const [runs, setRuns] = useState([]);
+  const [runCount, setRunCount] = useState(RUN_COUNTS[1]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadTrends = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await apiJson(`/api/trends?limit=${runCount}`);
+        if (!cancelled) setRuns(data.runs || []);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadTrends();
+    return () => {
+      cancelled = true;
+    };
+  }, [runCount, refreshKey]);
+
+  const labels = runs.map(runLabel);
+
+  const options = (title, yLabel, formatValue) => ({
+    responsive: true,
+    interaction: { mode: 'index', intersect: false },
+    onClick: (event, elements) => {
+      if (elements.length > 0) {
+        navigate(`/allure-viewer/${encodeURIComponent(runs[elements[0].index].runId)}`);
+      }
+    },
+    onHover: (event, elements) => {
+      event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    },
+    plugins: {
+      legend: { position: 'top' },
+      title: { display: true, text: title },
+      tooltip: {
+        callbacks: {
+          title: (items) => runs[items[0].dataIndex]?.runId,
+          ...(formatValue && { label: (item) => `${item.dataset.label}: ${formatValue(item.raw)}` }),
+        },
+      },
+    },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: yLabel } },
+    },
+  });
+
+  const charts = [
+    {
+      key: 'pass-rate',
+      data: { labels, datasets: [line('Pass rate (%)', runs.map((run) => run.passRate), '34, 197, 94')] },
+      options: options('Pass Rate', '%', (value) => (value === null ? '—' : `${value}%`)),
+    },
+    {
+      key: 'failures',
+      data: {
+        labels,
+        datasets: [
+          line('Failed', runs.map((run) => run.statistic.failed || 0), '239, 68, 68'),
+          line('Broken', runs.map((run) => run.statistic.broken || 0), '234, 179, 8'),
+        ],
+      },
+      options: options('Failed and Broken Tests', 'Tests'),
+    },
+    {
+      key: 'volume',
+      data: { labels, datasets: [line('Total tests', runs.map((run) => run.statistic.total || 0), '59, 130, 246')] },
+      options: options('Tests per Run', 'Tests'),
+    },
+    {
+      key: 'duration',
+      data: {
+        labels,
+        datasets: [line('Duration (minutes)', runs.map((run) => (run.duration !== null ? run.duration / 60000 : null)), '147, 51, 234')],
+      },
+      options: options('Run Duration', 'Minutes', (value) => (value === null ? '—' : formatDuration(Math.round(value * 60000)))),
+    },
+  ];
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-semibold text-gray-800">Trends</h2>
+        <select
+          value={runCount}
+          onChange={(e) => setRunCount(Number(e.target.value))}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {RUN_COUNTS.map((count) => (
+            <option key={count} value={count}>Last {count} runs</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          <strong>Could not load trends:</strong> {error}
+        </div>
+      )}
+
+      {loading && !error && (
+        <div className="text-center py-8 text-gray-600">Loading trends...</div>
+      )}
+
+      {!loading && !error && runs.length < 2 && (
+        <div className="text-center py-8 text-gray-500">Trends appear once there are at least two runs</div>
+      )}
+
+      {!loading && !error && runs.length >= 2 && (
+        <div className="grid gap-4 grid-cols-1 lg:grid-cols-2">
+          {charts.map((chart) => (
+            <div key={chart.key} className="border border-gray-200 p-4 rounded-lg shadow-sm bg-white">
+              <Line data={chart.data} options={chart.options} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendCharts;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react'
+import { apiJson } from '../src/utils/apiClient.js'
+import { getCurrentUser } from '../src/utils/session.js'
+
+/**
+ * UserManagement Component
+ *
+ * Admin-only page for managing who can sign in.
+ * Features:
+ * - List of users with their role and status
+ * - Create users with an initial password and role
+ * - Change roles, disable/enable accounts
+ * - Reset passwords (a temporary password is shown once)
+ */
+const UserManagement = () => {
+  const [users, setUsers] = useState([])
+  const [roles, setRoles] = useState(['viewer', 'triager', 'admin'])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [busyUsers, setBusyUsers] = useState(new Set())
+  const [form, setForm] = useState({ email: '', name: '', password: '', role: 'viewer' })
+  const [isCreating, setIsCreating] = useState(false)
+  const currentUserId = getCurrentUser()?.id
+
+  useEffect(() => {
+    fetchUsers()
+  }, [])
+
+  const fetchUsers = async () => {
+    try {
+      setIsLoading(true)
+      const data = await apiJson('/api/users')
+      setUsers(data.users || [])
+      if (data.roles) setRoles(data.roles)
+    } catch (err) {
+      setError('Failed to load users: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Run an action for one user while showing it as busy
+  const withUser = async (userId, action) => {
+    setBusyUsers(prev => new Set(prev).add(userId))
+    setError('')
+    setNotice('')
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyUsers(prev => {
+        const newSet = new Set(prev)
+        newSet.delete(userId)
+        return newSet
+      })
+    }
+  }
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setIsCreating(true)
+    setError('')
+    setNotice('')
+    try {
+      const data = await apiJson('/api/users', { method: 'POST', body: form })
+      setUsers(prev => [...prev, data.user])
+      setForm({ email: '', name: '', password: '', role: 'viewer' })
+      setNotice(`Created ${data.user.email}`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const changeRole = (user, role) => withUser(user.id, async () => {
+    const data = await apiJson(`/api/users/${user.id}`, { method: 'PATCH', body: { role } })
+    replaceUser(data.user)
+  })
+
+  const toggleDisabled = (user) => withUser(user.id, async () => {
+    const data = await apiJson(`/api/users/${user.id}`, { method: 'PATCH', body: { disabled: !user.disabled } })
+    replaceUser(data.user)
+    setNotice(`${data.user.email} ${data.user.disabled ? 'disabled' : 'enabled'}`)
+  })
+
+  const resetPassword = (user) => {
+    if (!window.confirm(`Reset the password of ${user.email}?`)) return
+    withUser(user.id, async () => {
+      const data = await apiJson(`/api/users/${user.id}/reset-password`, { method: 'POST' })
+      setNotice(`Temporary password for ${user.email}: ${data.temporaryPassword}. Share it securely, it will not be shown again.`)
+    })
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white shadow-xl rounded-lg">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Viewers can browse runs, triagers can also upload runs, admins can do everything including managing users
+            </p>
+          </div>
+
+          {/* Create User */}
+          <form onSubmit={handleCreate} className="px-6 py-6 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Add User</h2>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <input
+                type="email"
+                required
+                placeholder="Email"
+                value={form.email}
+                onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="text"
+                placeholder="Name (optional)"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="password"
+                required
+                minLength={8}
+                placeholder="Initial password"
+                value={form.password}
+                onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={form.role}
+                onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {roles.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              <button
+                type="submit"
+                disabled={isCreating}
+                className="px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 transition-colors duration-200"
+              >
+                {isCreating ? 'Adding...' : 'Add User'}
+              </button>
+            </div>
+          </form>
+
+          <div className="px-6 py-6">
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+            {notice && (
+              <div className="mb-4 bg-green-50 border border-green-200 text-green-800 rounded-md p-4 text-sm">{notice}</div>
+            )}
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <span className="ml-3 text-gray-600">Loading users...</span>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {users.map(user => {
+                      const isBusy = busyUsers.has(user.id)
+                      const isSelf = user.id === currentUserId
+                      return (
+                        <tr key={user.id} className={user.disabled ? 'bg-gray-50 text-gray-400' : ''}>
+                          <td className="px-6 py-4 text-sm">
+                            <div className="font-medium text-gray-900">{user.name}</div>
+                            <div className="text-gray-500">{user.email}{isSelf && ' (you)'}</div>
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            <select
+                              value={user.role}
+                              disabled={isBusy}
+                              onChange={(e) => changeRole(user, e.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded-md"
+                            >
+                              {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${user.disabled ? 'bg-gray-200 text-gray-700' : 'bg-green-100 text-green-800'}`}>
+                              {user.disabled ? 'Disabled' : 'Active'}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-right space-x-2 whitespace-nowrap">
+                            <button
+                              onClick={() => resetPassword(user)}
+                              disabled={isBusy}
+                              className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                            >
+                              Reset Password
+                            </button>
+                            <button
+                              onClick={() => toggleDisabled(user)}
+                              disabled={isBusy || isSelf}
+                              className={`px-3 py-1 rounded-md text-white disabled:opacity-50 ${user.disabled ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}`}
+                            >
+                              {user.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UserManagement
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { useNavigate, useLocation } from 'react-router-dom'
+import { getCurrentUser } from '../../src/utils/session.js'
+import { logout } from '../../src/utils/apiClient.js'
 
 const SidePanel = () => {
   const navigate = useNavigate()
@@ -20,10 +22,20 @@ const SidePanel = () => {
     }
   }, [showLogoutModal])
 
+  const isAdmin = getCurrentUser()?.role === 'admin'
+
   const menuItems = [
     { name: 'Dashboard', icon: '📊', path: '/dashboard' },
     { name: 'Compare Reports', icon: '⚖️', path: '/compare-reports' },
+    { name: 'Run Matrix', icon: '🧮', path: '/run-matrix' },
+    { name: 'Flaky Tests', icon: '🎲', path: '/flaky-tests' },
     { name: 'Download Reports', icon: '📄', path: '/report-generator' },
+    ...(isAdmin ? [
+      { name: 'User Management', icon: '👥', path: '/users' },
+      { name: 'API Keys', icon: '🔑', path: '/api-keys' },
+      { name: 'Retention', icon: '🗑️', path: '/retention' },
+      { name: 'Audit Log', icon: '📜', path: '/audit' },
+    ] : []),
     { name: 'Logout', icon: '🚪', path: '/', isLogout: true },
   ]
 
@@ -36,9 +48,9 @@ const SidePanel = () => {
     }
   }
 
-  const handleLogout = () => {
-    // Clear the stored token
-    localStorage.removeItem('token')
+  const handleLogout = async () => {
+    // Revoke the session on the server and clear the stored tokens
+    await logout()
     // Navigate to login page
     navigate('/')
     // Close modal
@@ -3,7 +3,14 @@ import LoginPage from '../components/LoginPage'
 import Dashboard from '../components/Dashboard'
 import ReportGenerator from '../components/ReportGenerator'
 import CompareReports from '../components/CompareReports'
+import RunMatrix from '../components/RunMatrix'
+import FlakyTests from '../components/FlakyTests'
 import AllureViewer from '../components/AllureViewer'
+import UserManagement from '../components/UserManagement'
+import ApiKeys from '../components/ApiKeys'
+import AuditLog from '../components/AuditLog'
+import Retention from '../components/Retention'
+import SsoCallback from '../components/SsoCallback'
 import Layout from '../components/common/Layout'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import ProtectedRoute from '../components/ProtectedRoute'
@@ -18,6 +25,7 @@ function App() {
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<LoginPage />} />
+          <Route path="/sso-callback" element={<SsoCallback />} />
           <Route path="/test" element={<div style={{color: 'red', fontSize: '24px'}}>TEST ROUTE WORKING!</div>} />
           <Route 
             path="/dashboard" 
@@ -27,10 +35,34 @@ function App() {
             path="/compare-reports" 
             element={<ProtectedRoute><Layout><CompareReports/></Layout></ProtectedRoute>} 
           />
+          <Route 
+            path="/run-matrix" 
+            element={<ProtectedRoute><Layout><RunMatrix/></Layout></ProtectedRoute>} 
+          />
+          <Route 
+            path="/flaky-tests" 
+            element={<ProtectedRoute><Layout><FlakyTests/></Layout></ProtectedRoute>} 
+          />
           <Route 
             path="/report-generator" 
             element={<ProtectedRoute><Layout><ReportGenerator/></Layout></ProtectedRoute>} 
           />
+          <Route 
+            path="/users" 
+            element={<ProtectedRoute roles={['admin']}><Layout><UserManagement/></Layout></ProtectedRoute>} 
+          />
+          <Route 
+            path="/api-keys" 
+            element={<ProtectedRoute roles={['admin']}><Layout><ApiKeys/></Layout></ProtectedRoute>} 
+          />
+          <Route 
+            path="/audit" 
+            element={<ProtectedRoute roles={['admin']}><Layout><AuditLog/></Layout></ProtectedRoute>} 
+          />
+          <Route 
+            path="/retention" 
+            element={<ProtectedRoute roles={['admin']}><Layout><Retention/></Layout></ProtectedRoute>} 
+          />
           <Route 
             path="/allure-viewer/:runId?" 
             element={<ProtectedRoute><AllureViewer/></ProtectedRoute>} 
@@ -1,7 +1,18 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
+import { apiJson } from '../utils/apiClient.js';
 
 const ReportsContext = createContext();
 
+// Dashboard pages through runs newest first instead of loading them all at once
+const PAGE_SIZE = 30;
+const PAGE_SORT = '-runId';
+
+const fetchReportsPage = (cursor = null) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort: PAGE_SORT });
+  if (cursor) params.set('cursor', cursor);
+  return apiJson(`/api/reports?${params}`);
+};
+
 export const useReports = () => {
   const context = useContext(ReportsContext);
   if (!context) {
@@ -15,8 +26,11 @@ export const ReportsProvider = ({ children }) => {
     reports: [],
     summary: null,
     lastFetched: null,
+    nextCursor: null,
     loading: false,
-    error: null
+    loadingMore: false,
+    error: null,
+    loadMoreError: null
   });
 
   // Check if we need to refresh data (cache is older than 5 minutes or empty)
@@ -44,12 +58,7 @@ export const ReportsProvider = ({ children }) => {
     setReportsCache(prev => ({ ...prev, loading: true, error: null }));
 
     try {
-      const response = await fetch("https://allure-telephony.onrender.com/api/reports");
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      const data = await fetchReportsPage();
       const reports = data.reports || [];
       const summary = data.summary || null;
 
@@ -57,8 +66,11 @@ export const ReportsProvider = ({ children }) => {
         reports,
         summary,
         lastFetched: Date.now(),
+        nextCursor: data.page?.nextCursor || null,
         loading: false,
-        error: null
+        loadingMore: false,
+        error: null,
+        loadMoreError: null
       };
 
       setReportsCache(newCache);
@@ -80,6 +92,28 @@ export const ReportsProvider = ({ children }) => {
     }
   }, [shouldRefreshData, reportsCache.reports, reportsCache.summary]);
 
+  // Append the next page of runs to the cache
+  const loadMoreReports = useCallback(async () => {
+    if (!reportsCache.nextCursor || reportsCache.loadingMore) return;
+
+    // A failed page is reported on its own so the runs already loaded stay visible
+    setReportsCache(prev => ({ ...prev, loadingMore: true, loadMoreError: null }));
+
+    try {
+      const data = await fetchReportsPage(reportsCache.nextCursor);
+      setReportsCache(prev => ({
+        ...prev,
+        reports: [...prev.reports, ...(data.reports || [])],
+        summary: data.summary || prev.summary,
+        nextCursor: data.page?.nextCursor || null,
+        loadingMore: false
+      }));
+    } catch (error) {
+      console.error('Error loading more reports:', error);
+      setReportsCache(prev => ({ ...prev, loadingMore: false, loadMoreError: error.message }));
+    }
+  }, [reportsCache.nextCursor, reportsCache.loadingMore]);
+
   // Get reports (from cache or fetch if needed)
   const getReports = useCallback(async (forceRefresh = false) => {
     return await fetchAndCacheReports(forceRefresh);
@@ -92,8 +126,11 @@ export const ReportsProvider = ({ children }) => {
       reports: [],
       summary: null,
       lastFetched: null,
+      nextCursor: null,
       loading: false,
-      error: null
+      loadingMore: false,
+      error: null,
+      loadMoreError: null
     });
   }, []);
 
@@ -120,11 +157,15 @@ export const ReportsProvider = ({ children }) => {
     reports: reportsCache.reports,
     summary: reportsCache.summary,
     loading: reportsCache.loading,
+    loadingMore: reportsCache.loadingMore,
+    hasMore: Boolean(reportsCache.nextCursor),
     error: reportsCache.error,
+    loadMoreError: reportsCache.loadMoreError,
     lastFetched: reportsCache.lastFetched,
     
     // Methods
     getReports,
+    loadMoreReports,
     clearCache,
     getCacheStatus,
     
@@ -0,0 +1,200 @@
+import path from "path";
+import { getStorage, runPrefix, getObjectText } from "./storage.js";
+import { groupAttempts, passedOnRetry } from "./summaryIndex.js";
+
+/**
+ * Typed model of one run's allure-results.
+ *
+ * A results directory mixes several kinds of files: one `-result.json` per
+ * test, `-container.json` files holding set-up and tear-down fixtures
+ * (befores/afters) for the tests listed in their `children`, attachments
+ * referenced by `source` from tests, steps and fixtures, and a few run-level
+ * files. Objects are sorted by file type so only results become tests; each
+ * test carries the fixtures of every container that encloses it.
+ *
+ * A retried test writes one result per attempt with the same historyId. Those
+ * are merged into one test: the final attempt, with the earlier ones (oldest
+ * first) in `retries` and `passedOnRetry` set when a failure was retried away.
+ */
+
+const FILE_TYPES = [
+  { type: "result", pattern: /-result\.json$/ },
+  { type: "container", pattern: /-container\.json$/ },
+  { type: "attachment", pattern: /-attachment(\.[\w-]+)?$/ },
+  { type: "environment", pattern: /^environment\.(properties|xml)$/ },
+  { type: "categories", pattern: /^categories\.json$/ },
+  { type: "executor", pattern: /^executor\.json$/ },
+];
+
+// Files read at once while building a model
+const READ_CONCURRENCY = 16;
+
+function fileType(key) {
+  const name = path.posix.basename(key);
+  return FILE_TYPES.find(({ pattern }) => pattern.test(name))?.type || "other";
+}
+
+// Attachment reference with the stored file's size, or `missing` when it was never uploaded
+function toAttachment(attachment, attachments) {
+  const stored = attachments.get(attachment.source);
+  return {
+    name: attachment.name || attachment.source || null,
+    source: attachment.source || null,
+    type: attachment.type || null,
+    size: stored ? stored.size : null,
+    missing: !stored,
+  };
+}
+
+// Steps nest; fixtures are shaped like steps
+function toStep(step, attachments) {
+  return {
+    name: step.name || null,
+    status: step.status || "unknown",
+    statusDetails: step.statusDetails || null,
+    stage: step.stage || null,
+    start: step.start || null,
+    stop: step.stop || null,
+    parameters: step.parameters || [],
+    attachments: (step.attachments || []).map((attachment) => toAttachment(attachment, attachments)),
+    steps: (step.steps || []).map((child) => toStep(child, attachments)),
+  };
+}
+
+function toTest(result, key, attachments) {
+  return {
+    uuid: result.uuid || null,
+    historyId: result.historyId || null,
+    testCaseId: result.testCaseId || null,
+    name: result.name || null,
+    fullName: result.fullName || null,
+    description: result.description || null,
+    status: result.status || "unknown",
+    statusDetails: result.statusDetails || null,
+    stage: result.stage || null,
+    start: result.start || null,
+    stop: result.stop || null,
+    labels: result.labels || [],
+    parameters: result.parameters || [],
+    links: result.links || [],
+    steps: (result.steps || []).map((step) => toStep(step, attachments)),
+    attachments: (result.attachments || []).map((attachment) => toAttachment(attachment, attachments)),
+    befores: [],
+    afters: [],
+    file: path.posix.basename(key),
+  };
+}
+
+async function readJsonFiles(objects) {
+  const parsed = new Array(objects.length).fill(null);
+  let next = 0;
+  const worker = async () => {
+    while (next < objects.length) {
+      const index = next++;
+      try {
+        parsed[index] = JSON.parse(await getObjectText(objects[index].key));
+      } catch (err) {
+        console.error(`Skipping unreadable ${objects[index].key}:`, err.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, objects.length) }, worker));
+  return parsed;
+}
+
+/**
+ * Build the model of a run. Resolves with
+ * { runId, tests, attachments, files }, where `files` counts objects per type
+ * and `attachments` lists every stored attachment as { source, size }.
+ * Fixtures of nested containers reach the tests of their inner containers.
+ */
+async function buildRunModel(runId) {
+  const objects = await getStorage().listObjects(runPrefix(runId));
+  const byType = {};
+  for (const obj of objects) {
+    const type = fileType(obj.key);
+    byType[type] = byType[type] || [];
+    byType[type].push(obj);
+  }
+
+  const attachments = new Map(
+    (byType.attachment || []).map((obj) => [path.posix.basename(obj.key), { source: path.posix.basename(obj.key), size: obj.size }])
+  );
+
+  const resultFiles = byType.result || [];
+  const containerFiles = byType.container || [];
+  const [results, containers] = await Promise.all([readJsonFiles(resultFiles), readJsonFiles(containerFiles)]);
+
+  const tests = [];
+  const testsByUuid = new Map();
+  results.forEach((result, index) => {
+    if (!result || typeof result !== "object") return;
+    const test = toTest(result, resultFiles[index].key, attachments);
+    tests.push(test);
+    if (test.uuid) testsByUuid.set(test.uuid, test);
+  });
+
+  const containersByUuid = new Map(containers.filter((c) => c?.uuid).map((c) => [c.uuid, c]));
+
+  // Tests under a container, following containers listed as children of others
+  const testsUnder = (container, seen = new Set()) => {
+    if (seen.has(container.uuid)) return [];
+    seen.add(container.uuid);
+    return (container.children || []).flatMap((child) => {
+      if (testsByUuid.has(child)) return [testsByUuid.get(child)];
+      if (containersByUuid.has(child)) return testsUnder(containersByUuid.get(child), seen);
+      return [];
+    });
+  };
+
+  for (const container of containers) {
+    if (!container || typeof container !== "object") continue;
+    const befores = (container.befores || []).map((fixture) => toStep(fixture, attachments));
+    const afters = (container.afters || []).map((fixture) => toStep(fixture, attachments));
+    if (befores.length === 0 && afters.length === 0) continue;
+    for (const test of testsUnder(container)) {
+      test.befores.push(...befores);
+      test.afters.push(...afters);
+    }
+  }
+
+  const byStart = (a, b) => (a.start || 0) - (b.start || 0);
+  tests.forEach((test) => {
+    test.befores.sort(byStart);
+    test.afters.sort(byStart);
+  });
+
+  const finalTests = [...groupAttempts(tests).values()].map((attempts) => ({
+    ...attempts[attempts.length - 1],
+    retries: attempts.slice(0, -1),
+    passedOnRetry: passedOnRetry(attempts),
+  }));
+
+  return {
+    runId,
+    tests: finalTests,
+    attachments: [...attachments.values()],
+    files: Object.fromEntries(Object.entries(byType).map(([type, list]) => [type, list.length])),
+  };
+}
+
+/**
+ * Stream one attachment of a run. Only attachment files can be read this way;
+ * anything else rejects with err.status 404 like a missing file.
+ */
+async function getAttachment(runId, source) {
+  const name = path.posix.basename(source || "");
+  if (name !== source || fileType(name) !== "attachment") {
+    const err = new Error(`No attachment ${source} in ${runId}`);
+    err.status = 404;
+    throw err;
+  }
+  try {
+    return await getStorage().getObject(`${runPrefix(runId)}${name}`);
+  } catch (err) {
+    if (err.code === "NotFound") err.status = 404;
+    throw err;
+  }
+}
+
+export { buildRunModel, getAttachment, fileType };
@@ -1,114 +1,137 @@
-import { S3Client, ListObjectsV2Command, GetObjectCommand } from "@aws-sdk/client-s3";
-import { Buffer } from "buffer";
 import dotenv from "dotenv";
+import { getStorage, getReportsPrefix } from "./storage.js";
+import { getRunSummary } from "./summaryIndex.js";
 
 // Load environment variables for Node.js
 dotenv.config();
 
-const AWS_ACCESS_KEY = process.env.VITE_AWS_ACCESS_KEY || process.env.AWS_ACCESS_KEY;
-const AWS_SECRET_KEY = process.env.VITE_AWS_SECRET_KEY || process.env.AWS_SECRET_KEY;
-const BUCKET_NAME = process.env.VITE_S3_BUCKET || process.env.S3_BUCKET || "allure-report-telephony";
-const S3_ENDPOINT = process.env.VITE_S3_ENDPOINT || process.env.S3_ENDPOINT;
+// List every run id in storage, sorted by name
+async function listRunIds() {
+  const reportsPrefix = getReportsPrefix();
+  const prefixes = await getStorage().listPrefixes(`${reportsPrefix}allure-results-`);
 
-if (!AWS_ACCESS_KEY || !AWS_SECRET_KEY) {
-  throw new Error('Missing R2/S3 credentials. Check VITE_AWS_ACCESS_KEY and VITE_AWS_SECRET_KEY in .env');
+  return prefixes
+    .map((p) => p.slice(reportsPrefix.length).replace(/\/$/, ""))
+    .sort();
 }
 
-const s3Client = new S3Client({
-  region: "auto",
-  endpoint: S3_ENDPOINT,
-  credentials: {
-    accessKeyId: AWS_ACCESS_KEY,
-    secretAccessKey: AWS_SECRET_KEY,
-  },
-});
-
-// Helper to stream -> string
-async function streamToString(stream) {
-  const chunks = [];
-  for await (const chunk of stream) chunks.push(chunk);
-  return Buffer.concat(chunks).toString("utf-8");
+// Number of runs summarised at once; most are a single manifest read
+const SUMMARY_CONCURRENCY = 8;
+
+async function withSummaries(runIds) {
+  const reports = new Array(runIds.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < runIds.length) {
+      const index = next++;
+      const runId = runIds[index];
+      reports[index] = { runId, summary: await fetchSummary(runId) };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SUMMARY_CONCURRENCY, runIds.length) }, worker));
+  return reports;
 }
 
 // Fetch all runs + summary for each
 async function listAllReports() {
-  const command = new ListObjectsV2Command({
-    Bucket: BUCKET_NAME,
-    Prefix: "reports/allure-results-",
-    Delimiter: "/",
-  });
-  const res = await s3Client.send(command);
-
-  const runIds =
-    res.CommonPrefixes?.map((p) =>
-      p.Prefix.replace("reports/", "").replace(/\/$/, "")
-    ) || [];
-
+  const runIds = await listRunIds();
   console.log("Found runs:", runIds);
+  return withSummaries(runIds);
+}
 
-  // Fetch summaries for each run
-  const reports = [];
-  for (const runId of runIds) {
-    const summary = await fetchSummary(runId);
-    reports.push({ runId, summary });
-  }
+const REPORT_SORTS = ["runId", "-runId"];
+
+/**
+ * Fetch one page of runs + summaries.
+ *
+ * Pages are keyed on run ids, so the cursor is the last run id of the previous
+ * page and runs added in the meantime do not shift later pages.
+ * `sort` is "runId" (oldest first, as run ids embed their timestamp) or "-runId".
+ */
+async function listReportsPage({ cursor = null, limit = 50, sort = "runId" } = {}) {
+  const descending = sort.startsWith("-");
+  const runIds = await listRunIds();
+  if (descending) runIds.reverse();
+
+  const remaining = cursor
+    ? runIds.filter((runId) => (descending ? runId < cursor : runId > cursor))
+    : runIds;
+  const pageIds = remaining.slice(0, limit);
+  const hasMore = remaining.length > pageIds.length;
 
-  return reports;
+  return {
+    reports: await withSummaries(pageIds),
+    totalReports: runIds.length,
+    nextCursor: hasMore ? pageIds[pageIds.length - 1] : null,
+  };
 }
 
-// Reuse your fetchSummary logic
-async function fetchSummary(execId) {
-  const listCommand = new ListObjectsV2Command({
-    Bucket: BUCKET_NAME,
-    Prefix: `reports/${execId}/`,
-    MaxKeys: 1000,
-  });
-
-  const listResult = await s3Client.send(listCommand);
-
-  const resultFiles =
-    listResult.Contents?.filter((obj) => obj.Key.endsWith("-result.json")) || [];
-
-  if (!resultFiles.length) {
-    return {
-      statistic: { total: 0, passed: 0, failed: 0, broken: 0, skipped: 0 },
-      time: { start: null, stop: null },
-      totalFiles: 0,
-    };
+const runStart = (report) => report.summary?.time?.start || 0;
+const byRunStart = (a, b) => runStart(a) - runStart(b) || a.runId.localeCompare(b.runId);
+
+// Upload time embedded in ingested run ids (allure-results-<ms>-<hex>), or null
+function runIdTime(runId) {
+  const match = runId.match(/^allure-results-(\d{13})(?:-|$)/);
+  return match ? Number(match[1]) : null;
+}
+
+// Runs uploaded this long after `to` are taken to have started after it too
+const RUN_UPLOAD_SLACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Runs picked either by id or by the date range their tests started in
+ * (`from`/`to` are timestamps, either may be left out), oldest first.
+ * Unknown run ids are rejected with err.status 404. With a date range only
+ * the newest `limit` runs are kept.
+ *
+ * Ingested run ids embed their upload time, so those runs are narrowed on the
+ * id and only the newest candidates are summarised, a batch at a time, until
+ * `limit` of them match. Tests start before their run is uploaded: a run
+ * uploaded before `from` cannot be in range. Runs with other ids (uploaded by
+ * hand or before ingestion) say nothing about their time and are always
+ * summarised, then ranked with the rest by start time.
+ */
+async function selectReports({ runIds = null, from = null, to = null, limit = 50 } = {}) {
+  const known = await listRunIds();
+
+  if (runIds) {
+    const missing = runIds.filter((runId) => !known.includes(runId));
+    if (missing.length > 0) {
+      const err = new Error(`No runs found for: ${missing.join(", ")}`);
+      err.status = 404;
+      throw err;
+    }
+    const reports = await withSummaries([...new Set(runIds)]);
+    return reports.sort(byRunStart);
   }
 
-  const results = await Promise.all(
-    resultFiles.map(async (file) => {
-      try {
-        const res = await s3Client.send(
-          new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: file.Key,
-          })
-        );
-        return JSON.parse(await streamToString(res.Body));
-      } catch {
-        return null;
-      }
+  const inRange = (report) => (from === null || runStart(report) >= from) && (to === null || runStart(report) <= to);
+  const untimed = known.filter((runId) => runIdTime(runId) === null);
+  const timed = known
+    .filter((runId) => {
+      const uploaded = runIdTime(runId);
+      return uploaded !== null && (from === null || uploaded >= from) && (to === null || uploaded <= to + RUN_UPLOAD_SLACK_MS);
     })
-  );
-
-  const cleanResults = results.filter(Boolean);
+    .sort((a, b) => runIdTime(b) - runIdTime(a) || b.localeCompare(a));
+
+  const reports = (await withSummaries(untimed)).filter(inRange);
+  let matched = 0;
+  let next = 0;
+  while (next < timed.length && matched < limit) {
+    const size = Math.max(limit - matched, SUMMARY_CONCURRENCY);
+    const batch = (await withSummaries(timed.slice(next, next + size))).filter(inRange);
+    next += size;
+    matched += batch.length;
+    reports.push(...batch);
+  }
+  return reports.sort(byRunStart).slice(-limit);
+}
 
-  return {
-    statistic: {
-      total: cleanResults.length,
-      passed: cleanResults.filter((r) => r.status === "passed").length,
-      failed: cleanResults.filter((r) => r.status === "failed").length,
-      broken: cleanResults.filter((r) => r.status === "broken").length,
-      skipped: cleanResults.filter((r) => r.status === "skipped").length,
-    },
-    time: {
-      start: Math.min(...cleanResults.map((r) => r.start || Date.now())),
-      stop: Math.max(...cleanResults.map((r) => r.stop || Date.now())),
-    },
-    totalFiles: resultFiles.length,
-  };
+// Summaries come from the persisted per-run manifest, rebuilt only when the run changes
+async function fetchSummary(execId) {
+  return getRunSummary(execId);
 }
 
-export { listAllReports };
\ No newline at end of file
+export { listAllReports, listReportsPage, listRunIds, selectReports, fetchSummary, REPORT_SORTS };
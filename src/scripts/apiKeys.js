@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * API keys for CI jobs and scripts, stored in DATA_DIR/api-keys.json.
+ *
+ * A key looks like `atk_<id>_<secret>` and is shown once when created; only
+ * its SHA-256 hash is kept. Keys carry their own scopes instead of a role and
+ * are sent like a JWT: `Authorization: Bearer atk_...` (or `ApiKey atk_...`).
+ */
+
+const KEY_PREFIX = "atk_";
+const KEY_SCOPES = ["read-runs", "upload-runs", "delete-runs"];
+
+// Persist lastUsedAt at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const store = createJsonStore("api-keys.json", { keys: [] });
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+function keyError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function publicKey(apiKey) {
+  if (!apiKey) return null;
+  const { keyHash: _keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(KEY_PREFIX);
+
+async function listApiKeys() {
+  const { keys } = await store.read();
+  return keys.map(publicKey);
+}
+
+/**
+ * Create a key. Resolves with { apiKey, key } where `key` is the secret value,
+ * which cannot be recovered later.
+ */
+async function createApiKey({ name, scopes, expiresInDays, createdBy }) {
+  const label = String(name || "").trim();
+  if (!label) throw keyError(400, "A name is required");
+  if (!Array.isArray(scopes) || scopes.length === 0) throw keyError(400, "Select at least one scope");
+  const unknown = scopes.filter((scope) => !KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw keyError(400, `Invalid scope "${unknown[0]}". Use any of: ${KEY_SCOPES.join(", ")}`);
+  }
+  const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === "" ? null : Number(expiresInDays);
+  if (days !== null && !(Number.isInteger(days) && days > 0)) {
+    throw keyError(400, "expiresInDays must be a positive whole number");
+  }
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(32).toString("base64url")}`;
+  const now = new Date();
+
+  const apiKey = await store.update((data) => {
+    const created = {
+      id,
+      name: label,
+      scopes: [...new Set(scopes)],
+      keyHash: hashKey(key),
+      createdBy: createdBy || null,
+      createdAt: now.toISOString(),
+      expiresAt: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    data.keys.push(created);
+    return publicKey(created);
+  });
+
+  return { apiKey, key };
+}
+
+async function revokeApiKey(id) {
+  return store.update((data) => {
+    const apiKey = data.keys.find((k) => k.id === id);
+    if (!apiKey) throw keyError(404, "API key not found");
+    if (!apiKey.revokedAt) apiKey.revokedAt = new Date().toISOString();
+    return publicKey(apiKey);
+  });
+}
+
+/**
+ * Look up an active key by its secret value. Resolves with the key (without
+ * its hash) or null when it is unknown, revoked or expired.
+ */
+async function verifyApiKey(key) {
+  if (!isApiKey(key)) return null;
+  const id = key.slice(KEY_PREFIX.length).split("_")[0];
+  const { keys } = await store.read();
+  const apiKey = keys.find((k) => k.id === id);
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, "hex");
+  const presented = Buffer.from(hashKey(key), "hex");
+  if (!crypto.timingSafeEqual(expected, presented)) return null;
+  if (apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) return null;
+
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_INTERVAL_MS) {
+    store
+      .update((data) => {
+        const stored = data.keys.find((k) => k.id === id);
+        if (stored) stored.lastUsedAt = new Date().toISOString();
+      })
+      .catch((err) => console.error(`Could not record use of API key ${id}:`, err.message));
+  }
+
+  return publicKey(apiKey);
+}
+
+export { KEY_SCOPES, isApiKey, listApiKeys, createApiKey, revokeApiKey, verifyApiKey };
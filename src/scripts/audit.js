@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import fsp from "fs/promises";
+import path from "path";
+import { DATA_DIR } from "./jsonStore.js";
+
+/**
+ * Append-only audit trail of user actions, one JSON object per line in
+ * DATA_DIR/audit.jsonl:
+ *
+ *   { id, timestamp, action, outcome, actor: { id, email } | null, ip, target, details }
+ *
+ * Actions are dotted names ("login", "run.download", "user.create", ...);
+ * outcome is "success", "failure" or "denied". Writing an entry never fails
+ * the request that caused it.
+ */
+
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+const OUTCOMES = ["success", "failure", "denied"];
+
+let writes = Promise.resolve();
+
+function recordAudit({ action, outcome = "success", actor = null, ip = null, target = null, details = null }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    action,
+    outcome,
+    actor: actor ? { id: actor.id || null, email: actor.email || null } : null,
+    ip,
+    target,
+    details,
+  };
+
+  writes = writes
+    .then(async () => {
+      await fsp.mkdir(DATA_DIR, { recursive: true });
+      await fsp.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+    })
+    .catch((err) => console.error(`Could not write audit entry ${action}:`, err.message));
+  return writes;
+}
+
+// Audit an action by the signed-in user of `req`
+function auditRequest(req, action, { outcome, target, details } = {}) {
+  return recordAudit({ action, outcome, actor: req.user, ip: req.ip, target, details });
+}
+
+async function readEntries() {
+  let text;
+  try {
+    text = await fsp.readFile(AUDIT_FILE, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash; skip it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Newest-first page of entries. Filters: `action` (exact, or a prefix ending
+ * in "." such as "run."), `actor` and `target` (case-insensitive substrings),
+ * `outcome`, and `from`/`to` timestamps. `cursor` is the id of the last entry
+ * of the previous page. Resolves with { entries, total, nextCursor }.
+ */
+async function queryAudit({ cursor, limit = 50, action, actor, outcome, target, from, to } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const actorNeedle = actor ? actor.toLowerCase() : null;
+  const targetNeedle = target ? target.toLowerCase() : null;
+
+  const matches = (entry) => {
+    if (action && (action.endsWith(".") ? !entry.action.startsWith(action) : entry.action !== action)) return false;
+    if (outcome && entry.outcome !== outcome) return false;
+    if (actorNeedle && !(entry.actor?.email || "").toLowerCase().includes(actorNeedle)) return false;
+    if (targetNeedle && !(entry.target || "").toLowerCase().includes(targetNeedle)) return false;
+    const time = new Date(entry.timestamp).getTime();
+    if (fromTime !== null && time < fromTime) return false;
+    if (toTime !== null && time > toTime) return false;
+    return true;
+  };
+
+  const filtered = (await readEntries()).filter(matches).reverse();
+
+  let start = 0;
+  if (cursor) {
+    const index = filtered.findIndex((entry) => entry.id === cursor);
+    start = index === -1 ? filtered.length : index + 1;
+  }
+  const entries = filtered.slice(start, start + limit);
+  const hasMore = start + limit < filtered.length;
+
+  return {
+    entries,
+    total: filtered.length,
+    nextCursor: hasMore ? entries[entries.length - 1].id : null,
+  };
+}
+
+// Distinct action names seen so far, for the filter dropdown
+async function listAuditActions() {
+  return [...new Set((await readEntries()).map((entry) => entry.action))].sort();
+}
+
+export { OUTCOMES, recordAudit, auditRequest, queryAudit, listAuditActions };
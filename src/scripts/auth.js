@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { getUser, permissionsFor } from "./users.js";
+import { createSession, rotateSession, revokeSession, isSessionActive } from "./sessions.js";
+import { isApiKey, verifyApiKey } from "./apiKeys.js";
+
+/**
+ * Authentication middleware shared by every data route.
+ *
+ * Failures use a small JSON shape the frontend understands:
+ *   401 { error, code: "TOKEN_EXPIRED" }                                      -> refresh, then retry
+ *   401 { error, code: "AUTH_REQUIRED" | "TOKEN_INVALID" | "SESSION_REVOKED" } -> sign in again
+ *   403 { error, code: "FORBIDDEN" }                                          -> signed in, not allowed
+ *
+ * Access tokens are short-lived (ACCESS_TOKEN_TTL, default 15m) and tied to a
+ * login session; the client renews them with its refresh token. Scripts send
+ * an API key in the same header instead.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REPORT_TICKET_TTL = "2h";
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET is not set in .env');
+  return secret;
+};
+
+function authError(res, status, code, error) {
+  return res.status(status).json({ error, code });
+}
+
+function bearerToken(req) {
+  const authHeader = req.headers["authorization"];
+  if (!authHeader) return null;
+  const [scheme, token] = authHeader.split(" ");
+  const kind = scheme && scheme.toLowerCase();
+  if (!token) return null;
+  if (kind === "bearer") return token;
+  return kind === "apikey" && isApiKey(token) ? token : null;
+}
+
+// API keys act as a user whose permissions are the key's scopes
+async function authenticateApiKey(key, req, res, next) {
+  try {
+    const apiKey = await verifyApiKey(key);
+    if (!apiKey) return authError(res, 401, "TOKEN_INVALID", "Invalid, expired or revoked API key");
+    req.user = {
+      id: `api-key:${apiKey.id}`,
+      email: `api-key:${apiKey.name}`,
+      name: apiKey.name,
+      role: null,
+      apiKeyId: apiKey.id,
+      permissions: apiKey.scopes,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, email: user.email, role: user.role, sid: sessionId }, getSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+function tokenResponse(user, session, refreshToken) {
+  const token = signAccessToken(user, session.id);
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    refreshToken,
+    refreshExpiresAt: session.expiresAt,
+    user,
+  };
+}
+
+// Start a login session: { token, expiresAt, refreshToken, refreshExpiresAt, user }
+async function issueSession(user) {
+  const { session, refreshToken } = await createSession(user.id);
+  return tokenResponse(user, session, refreshToken);
+}
+
+// Rotate a refresh token, rejecting with err.status 401 when the session is over
+async function refreshSession(refreshToken) {
+  const { session, refreshToken: next } = await rotateSession(refreshToken);
+  const account = await getUser(session.userId);
+  if (!account || account.disabled) {
+    const err = new Error("This account is no longer active");
+    err.status = 401;
+    throw err;
+  }
+  return tokenResponse(account, session, next);
+}
+
+/**
+ * Logout: revoke the session behind a refresh token and/or access token, so
+ * neither can be used again. An expired access token still identifies its session.
+ * Resolves with the revoked session, or null when there was none.
+ */
+async function endSession({ refreshToken, accessToken }) {
+  let sessionId = null;
+  if (accessToken) {
+    try {
+      sessionId = jwt.verify(accessToken, getSecret(), { ignoreExpiration: true }).sid || null;
+    } catch {
+      sessionId = null;
+    }
+  }
+  if (!sessionId && !refreshToken) return null;
+  return revokeSession({ refreshToken, sessionId });
+}
+
+/**
+ * Reject requests without a valid JWT for an enabled account or a valid API
+ * key. The current account (role included, so role changes apply immediately)
+ * is left on req.user together with its permissions.
+ */
+function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return authError(res, 401, "AUTH_REQUIRED", "Authentication required");
+  if (isApiKey(token)) return authenticateApiKey(token, req, res, next);
+
+  jwt.verify(token, getSecret(), async (err, decoded) => {
+    if (err?.name === "TokenExpiredError") {
+      return authError(res, 401, "TOKEN_EXPIRED", "Session expired, please sign in again");
+    }
+    if (err || decoded.scope || !decoded.sid) {
+      return authError(res, 401, "TOKEN_INVALID", "Invalid authentication token");
+    }
+
+    try {
+      if (!(await isSessionActive(decoded.sid))) {
+        return authError(res, 401, "SESSION_REVOKED", "You have been signed out, please sign in again");
+      }
+      const account = await getUser(decoded.id);
+      if (!account || account.disabled) {
+        return authError(res, 401, "TOKEN_INVALID", "This account is no longer active");
+      }
+      req.user = { ...account, permissions: permissionsFor(account.role), sessionId: decoded.sid };
+      next();
+    } catch (lookupError) {
+      next(lookupError);
+    }
+  });
+}
+
+// Allow the request only if the signed-in user's role grants `permission`
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user?.permissions?.includes(permission)) {
+      return authError(res, 403, "FORBIDDEN", "You do not have permission to do that");
+    }
+    next();
+  };
+}
+
+/**
+ * Generated HTML reports are opened in a new tab, which cannot send an
+ * Authorization header. Instead the report URL carries a short-lived ticket
+ * in its path, so the report's relative asset URLs keep working.
+ */
+function createReportTicket(runId, user) {
+  return jwt.sign({ scope: "report", runId, sub: user?.id }, getSecret(), {
+    expiresIn: REPORT_TICKET_TTL,
+  });
+}
+
+function requireReportTicket(req, res, next) {
+  jwt.verify(req.params.ticket, getSecret(), (err, decoded) => {
+    if (err?.name === "TokenExpiredError") {
+      return authError(res, 401, "TOKEN_EXPIRED", "Report link expired, open the report again");
+    }
+    if (err || decoded.scope !== "report" || decoded.runId !== req.params.runId) {
+      return authError(res, 403, "FORBIDDEN", "Invalid report link");
+    }
+    next();
+  });
+}
+
+export {
+  signAccessToken,
+  issueSession,
+  refreshSession,
+  endSession,
+  bearerToken,
+  requireAuth,
+  requirePermission,
+  authError,
+  createReportTicket,
+  requireReportTicket,
+};
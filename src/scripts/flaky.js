@@ -0,0 +1,88 @@
+import { selectReports } from "./allureReportFetcher.js";
+import { getRunManifest, passedOnRetry } from "./summaryIndex.js";
+import { manifestAttempts } from "./runMatrix.js";
+
+/**
+ * Flaky test detection over the newest runs.
+ *
+ * Every test's final status is followed across runs, keyed by historyId like
+ * the run matrix. Two patterns count against a test:
+ * - flips:        passed in one run and failed/broken in the next, or back
+ * - retry passes: failed/broken within a run, then passed on a retry
+ *
+ * score = 100 * (flips / (executed runs - 1) + retry passes / executed runs),
+ * capped at 100. A test that alternates every run, or only ever passes on a
+ * retry, scores 100; a real regression (passing, then failing from one run on)
+ * flips once and scores low. Skipped runs are left out of both counts.
+ */
+
+const DEFAULT_FLAKY_RUNS = Number(process.env.FLAKY_WINDOW_RUNS) || 30;
+const FAILING = ["failed", "broken"];
+
+const outcome = (status) => (status === "passed" ? "pass" : FAILING.includes(status) ? "fail" : null);
+
+function scoreTest(history) {
+  const executed = history.filter((entry) => outcome(entry.status));
+  let flips = 0;
+  for (let i = 1; i < executed.length; i++) {
+    if (outcome(executed[i].status) !== outcome(executed[i - 1].status)) flips++;
+  }
+  const retryPasses = executed.filter((entry) => entry.passedOnRetry).length;
+
+  const flipRate = executed.length > 1 ? flips / (executed.length - 1) : 0;
+  const retryRate = executed.length > 0 ? retryPasses / executed.length : 0;
+  return {
+    score: Math.round(Math.min(1, flipRate + retryRate) * 100),
+    flips,
+    retryPasses,
+    executedRuns: executed.length,
+    failedRuns: executed.filter((entry) => outcome(entry.status) === "fail").length,
+  };
+}
+
+/**
+ * Flaky tests over the newest `runs` runs, highest score first. Tests that
+ * never flipped or passed on a retry, or score below `minScore`, are left out.
+ * Resolves with { runs: [runId], tests: [{ key, name, fullName, score, flips,
+ * retryPasses, executedRuns, failedRuns, lastStatus, history }] } where
+ * `history` holds one { runId, status, attempts, passedOnRetry } per run the
+ * test appeared in, oldest first.
+ */
+async function findFlakyTests({ runs = DEFAULT_FLAKY_RUNS, minScore = 1 } = {}) {
+  const reports = await selectReports({ limit: runs });
+  const tests = new Map();
+
+  for (const report of reports) {
+    const manifest = await getRunManifest(report.runId);
+    manifestAttempts(manifest).forEach((attempts, key) => {
+      const final = attempts[attempts.length - 1];
+      if (!tests.has(key)) tests.set(key, { key, name: final.name, fullName: final.fullName, history: [] });
+      const test = tests.get(key);
+      test.name = final.name || test.name;
+      test.fullName = final.fullName || test.fullName;
+      test.history.push({
+        runId: report.runId,
+        status: final.status,
+        attempts: attempts.length,
+        passedOnRetry: passedOnRetry(attempts),
+      });
+    });
+  }
+
+  const flaky = [];
+  tests.forEach((test) => {
+    const stats = scoreTest(test.history);
+    if (stats.flips === 0 && stats.retryPasses === 0) return;
+    if (stats.score < minScore) return;
+    flaky.push({
+      ...test,
+      ...stats,
+      lastStatus: test.history[test.history.length - 1].status,
+    });
+  });
+  flaky.sort((a, b) => b.score - a.score || b.flips - a.flips || (a.name || a.key).localeCompare(b.name || b.key));
+
+  return { runs: reports.map((report) => report.runId), tests: flaky };
+}
+
+export { findFlakyTests };
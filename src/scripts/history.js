@@ -0,0 +1,110 @@
+import fsp from "fs/promises";
+import path from "path";
+import { getStorage } from "./storage.js";
+import { getRunSummary } from "./summaryIndex.js";
+import { listRunIds } from "./allureReportFetcher.js";
+
+/**
+ * Allure history chain between runs.
+ *
+ * Allure's trend, retries and history widgets are built from the `history/`
+ * folder of the previous report. After generating a run's report we store that
+ * folder under `history/<runId>/`, and the next run of the same project/branch
+ * gets it injected into its results before generation or download.
+ *
+ * Runs belong to a chain through `project` and `branch` in their
+ * environment.properties; runs without them share the "default" chain.
+ */
+
+const HISTORY_PREFIX = "history/";
+
+// How many earlier runs to look through for the previous run of a chain
+const HISTORY_LOOKBACK = Number(process.env.HISTORY_LOOKBACK) || 50;
+
+const historyPrefix = (runId) => `${HISTORY_PREFIX}${runId}/`;
+
+function envValue(environment, names) {
+  const entries = Object.entries(environment || {});
+  for (const name of names) {
+    const match = entries.find(([key]) => key.toLowerCase() === name);
+    if (match && match[1]) return match[1];
+  }
+  return null;
+}
+
+function chainKey(summary) {
+  const project = envValue(summary.environment, ["project", "project.name"]) || "default";
+  const branch = envValue(summary.environment, ["branch", "git_branch", "git.branch"]) || "default";
+  return `${project}/${branch}`;
+}
+
+// Most recent earlier run in the same project/branch chain (run ids sort by time)
+async function findPreviousRun(runId) {
+  const runIds = await listRunIds();
+  const index = runIds.indexOf(runId);
+  if (index <= 0) return null;
+
+  const key = chainKey(await getRunSummary(runId));
+  for (let i = index - 1; i >= Math.max(0, index - HISTORY_LOOKBACK); i--) {
+    if (chainKey(await getRunSummary(runIds[i])) === key) return runIds[i];
+  }
+  return null;
+}
+
+// History objects stored for a run, as { key, name }
+async function listHistory(runId) {
+  const prefix = historyPrefix(runId);
+  const objects = await getStorage().listObjects(prefix);
+  return objects.map((obj) => ({ key: obj.key, name: obj.key.slice(prefix.length) }));
+}
+
+async function hasHistory(runId) {
+  return (await listHistory(runId)).length > 0;
+}
+
+// Store the history/ folder of a freshly generated report
+async function saveHistory(runId, historyDir) {
+  let names;
+  try {
+    names = await fsp.readdir(historyDir);
+  } catch {
+    return 0;
+  }
+
+  const storage = getStorage();
+  for (const name of names) {
+    await storage.putObject(`${historyPrefix(runId)}${name}`, await fsp.readFile(path.join(historyDir, name)), {
+      contentType: "application/json",
+    });
+  }
+  return names.length;
+}
+
+// Write a run's stored history into <targetDir>, ready to be used as results/history
+async function downloadHistory(runId, targetDir) {
+  const storage = getStorage();
+  const files = await listHistory(runId);
+  if (!files.length) return 0;
+
+  await fsp.mkdir(targetDir, { recursive: true });
+  for (const file of files) {
+    await fsp.writeFile(path.join(targetDir, file.name), await storage.getObject(file.key));
+  }
+  return files.length;
+}
+
+// Drop a run's stored history, e.g. when it is deleted
+async function removeHistory(runId) {
+  const storage = getStorage();
+  await Promise.all((await listHistory(runId)).map((file) => storage.deleteObject(file.key)));
+}
+
+export {
+  chainKey,
+  findPreviousRun,
+  listHistory,
+  hasHistory,
+  saveHistory,
+  downloadHistory,
+  removeHistory,
+};
@@ -0,0 +1,55 @@
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * Tiny persistent JSON document store for server-side state (users, sessions,
+ * settings). Each store is one file under DATA_DIR (default ./data), cached in
+ * memory after the first read. Updates are serialised and written atomically
+ * (temp file + rename), so a crash never leaves a half-written file behind.
+ */
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "./data");
+
+function createJsonStore(fileName, defaultValue) {
+  const file = path.join(DATA_DIR, fileName);
+  let cache = null;
+  let writes = Promise.resolve();
+
+  async function load() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(await fsp.readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new Error(`Could not read ${file}: ${err.message}`);
+      cache = structuredClone(defaultValue);
+    }
+    return cache;
+  }
+
+  async function save(data) {
+    await fsp.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fsp.rename(tmp, file);
+    cache = data;
+  }
+
+  return {
+    // Current document; treat it as read-only and change it through update()
+    read: load,
+
+    // Apply `mutate(draft)` to a copy and persist it; resolves with mutate's return value
+    update(mutate) {
+      const run = writes.then(async () => {
+        const draft = structuredClone(await load());
+        const result = await mutate(draft);
+        await save(draft);
+        return result;
+      });
+      writes = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+export { createJsonStore, DATA_DIR };
@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ROLES } from "./users.js";
+
+/**
+ * OpenID Connect single sign-on (authorization-code flow with PKCE).
+ *
+ * Works with any standards-compliant provider through discovery
+ * (`<OIDC_ISSUER>/.well-known/openid-configuration`). Configuration:
+ *
+ * - OIDC_ISSUER, OIDC_CLIENT_ID           required to enable SSO
+ * - OIDC_CLIENT_SECRET                    optional, for confidential clients
+ * - OIDC_REDIRECT_URI                     this server's /auth/oidc/callback URL
+ * - OIDC_SCOPES                           default "openid email profile"
+ * - OIDC_GROUPS_CLAIM                     claim holding group names, default "groups"
+ * - OIDC_ROLE_MAP                         "idp-group:role,other-group:role"
+ * - OIDC_DEFAULT_ROLE                     role for users in no mapped group, default "viewer"
+ * - OIDC_PROVIDER_NAME                    label for the login button
+ */
+
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// Cookie tying a pending login to the browser that started it
+const BINDING_COOKIE = "oidc_binding";
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+// Login attempts waiting for the provider's callback, keyed by `state`
+const pending = new Map();
+
+let discovery = null;
+let jwks = null;
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+function getConfig(env = process.env) {
+  return {
+    issuer: env.OIDC_ISSUER ? env.OIDC_ISSUER.replace(/\/$/, "") : null,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI,
+    scopes: env.OIDC_SCOPES || "openid email profile",
+    groupsClaim: env.OIDC_GROUPS_CLAIM || "groups",
+    roleMap: parseRoleMap(env.OIDC_ROLE_MAP),
+    defaultRole: env.OIDC_DEFAULT_ROLE || "viewer",
+    providerName: env.OIDC_PROVIDER_NAME || "SSO",
+  };
+}
+
+function isOidcEnabled() {
+  const config = getConfig();
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+}
+
+// "qa-leads:admin,qa:triager" -> { "qa-leads": "admin", qa: "triager" }
+function parseRoleMap(value) {
+  const map = {};
+  for (const pair of (value || "").split(",")) {
+    const index = pair.lastIndexOf(":");
+    if (index === -1) continue;
+    const group = pair.slice(0, index).trim();
+    const role = pair.slice(index + 1).trim();
+    if (group && ROLES.includes(role)) map[group] = role;
+  }
+  return map;
+}
+
+// Highest role granted by any of the user's groups
+function roleForGroups(groups, config) {
+  const granted = groups.map((group) => config.roleMap[group]).filter(Boolean);
+  const fallback = ROLES.includes(config.defaultRole) ? config.defaultRole : "viewer";
+  return granted.reduce(
+    (best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best),
+    fallback
+  );
+}
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(body.error_description || body.error || `${url} responded with ${res.status}`);
+  }
+  return body;
+}
+
+async function getDiscovery(config) {
+  if (!discovery || discovery.issuer !== config.issuer || Date.now() - discovery.fetchedAt > DISCOVERY_TTL_MS) {
+    const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+    discovery = { issuer: config.issuer, document, fetchedAt: Date.now() };
+    jwks = null;
+  }
+  return discovery.document;
+}
+
+// Signing key for an ID token, refreshing the key set once if the kid is unknown
+async function getSigningKey(document, kid) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (!jwks || attempt === 1) {
+      jwks = (await fetchJson(document.jwks_uri)).keys || [];
+    }
+    const jwk = jwks.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+  throw new Error(`No signing key found for kid "${kid}"`);
+}
+
+function prunePending() {
+  const now = Date.now();
+  for (const [state, entry] of pending) {
+    if (now - entry.createdAt > PENDING_TTL_MS) pending.delete(state);
+  }
+}
+
+const sameSecret = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Start a login: remember state, nonce and PKCE verifier, and resolve with
+ * { url, binding }. `url` is the provider's authorization URL to redirect the
+ * browser to; `binding` must be stored in that browser (an HttpOnly cookie)
+ * and handed back to completeAuthorization, so a callback URL started by
+ * someone else cannot sign this browser in.
+ */
+async function createAuthorizationUrl() {
+  const config = getConfig();
+  const document = await getDiscovery(config);
+
+  prunePending();
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const binding = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+  pending.set(state, { nonce, binding, codeVerifier, createdAt: Date.now() });
+
+  const url = new URL(document.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return { url: url.toString(), binding };
+}
+
+/**
+ * Finish a login from the provider's callback: check that the browser holds the
+ * binding issued with `state`, exchange the code, verify the ID token and
+ * resolve with { email, emailVerified, name, subject, issuer, groups, role }.
+ */
+async function completeAuthorization({ code, state, binding }) {
+  const config = getConfig();
+  const attempt = pending.get(state);
+  pending.delete(state);
+  if (!attempt || Date.now() - attempt.createdAt > PENDING_TTL_MS) {
+    throw new Error("Sign-in request expired or was not started here, please try again");
+  }
+  if (!sameSecret(binding, attempt.binding)) {
+    throw new Error("Sign-in was started in a different browser, please try again");
+  }
+  if (!code) throw new Error("The identity provider did not return an authorization code");
+
+  const document = await getDiscovery(config);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: attempt.codeVerifier,
+  });
+  if (config.clientSecret) params.set("client_secret", config.clientSecret);
+
+  const tokens = await fetchJson(document.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: params.toString(),
+  });
+  if (!tokens.id_token) throw new Error("The identity provider did not return an ID token");
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const key = await getSigningKey(document, header?.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: document.issuer,
+    audience: config.clientId,
+  });
+  if (claims.nonce !== attempt.nonce) throw new Error("ID token nonce mismatch");
+
+  // Some providers only put email or groups in the userinfo response
+  let profile = claims;
+  if ((!claims.email || !claims[config.groupsClaim]) && document.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(document.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (userinfo.sub === claims.sub) profile = { ...userinfo, ...claims };
+    } catch (err) {
+      console.error("OIDC userinfo request failed:", err.message);
+    }
+  }
+
+  if (!profile.email) throw new Error("The identity provider did not share an email address");
+
+  const rawGroups = profile[config.groupsClaim];
+  const groups = Array.isArray(rawGroups) ? rawGroups.map(String) : rawGroups ? [String(rawGroups)] : [];
+
+  return {
+    email: profile.email,
+    emailVerified: profile.email_verified === true,
+    name: profile.name || profile.preferred_username || profile.email,
+    subject: claims.sub,
+    issuer: claims.iss,
+    groups,
+    role: roleForGroups(groups, config),
+  };
+}
+
+function getProviderName() {
+  return getConfig().providerName;
+}
+
+export { BINDING_COOKIE, PENDING_TTL_MS, isOidcEnabled, getProviderName, createAuthorizationUrl, completeAuthorization };
@@ -0,0 +1,144 @@
+/**
+ * In-memory rate limiting and login lockout.
+ *
+ * Counters live in this process only, which is enough for a single server
+ * instance; they reset on restart. Limits are written as "<max>/<seconds>",
+ * e.g. "10/60" for ten requests a minute, and can be overridden from the
+ * environment:
+ *
+ * - RATE_LIMIT_LOGIN_IP     login attempts per client IP, default "20/900"
+ * - RATE_LIMIT_DOWNLOADS    ZIP downloads per user, default "10/60"
+ * - RATE_LIMIT_RESULTS      result and run listings per user, default "120/60"
+ * - RATE_LIMIT_REPORTS      HTML report generations per user, default "5/60"
+ * - RATE_LIMIT_ATTACHMENTS  attachment downloads and previews per user, default "600/60"
+ * - LOGIN_LOCKOUT_THRESHOLD failed passwords before an account locks, default 5
+ * - LOGIN_LOCKOUT_SECONDS   first lockout, doubled on each further failure
+ *                           up to LOGIN_LOCKOUT_MAX_SECONDS (default 60 / 3600)
+ */
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// "10/60" -> { max: 10, windowMs: 60000 }; falls back to `fallback` when malformed
+function parseLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+  const [max, seconds] = match ? [Number(match[1]), Number(match[2])] : fallback.split("/").map(Number);
+  return { max, windowMs: seconds * 1000 };
+}
+
+/**
+ * Fixed-window counter per key. hit(key) counts one request and returns
+ * { allowed, remaining, retryAfterMs }.
+ */
+function createRateLimiter({ max, windowMs }) {
+  const windows = new Map();
+  let lastPrune = Date.now();
+
+  function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    max,
+    windowMs,
+
+    hit(key) {
+      const now = Date.now();
+      prune(now);
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(max - entry.count, 0),
+        retryAfterMs: entry.resetAt - now,
+      };
+    },
+  };
+}
+
+function sendTooManyRequests(res, retryAfterMs, error) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, code: "RATE_LIMITED", retryAfter });
+}
+
+const clientKey = (req) => req.user?.id || req.ip;
+
+/**
+ * Express middleware limiting requests per signed-in user (or per IP before
+ * authentication). `limit` is a { max, windowMs } pair from parseLimit().
+ */
+function rateLimit(name, limit, { key = clientKey } = {}) {
+  const limiter = createRateLimiter(limit);
+  return (req, res, next) => {
+    const { allowed, remaining, retryAfterMs } = limiter.hit(`${name}:${key(req)}`);
+    res.set("RateLimit-Limit", String(limiter.max));
+    res.set("RateLimit-Remaining", String(remaining));
+    if (!allowed) {
+      return sendTooManyRequests(res, retryAfterMs, "Too many requests, please slow down and try again shortly");
+    }
+    next();
+  };
+}
+
+/**
+ * Account lockout after repeated failed logins. Each failure past the
+ * threshold doubles the lockout, and a successful login clears the record.
+ */
+function createLoginGuard({
+  threshold = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs = (Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60) * 1000,
+  maxMs = (Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600) * 1000,
+  forgetAfterMs = 24 * 60 * 60 * 1000,
+} = {}) {
+  const failures = new Map();
+  let lastPrune = Date.now();
+
+  // Forget accounts that have not failed for a while, so guessed emails do not pile up
+  function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [account, entry] of failures) {
+      if (now - entry.lastFailureAt > forgetAfterMs) failures.delete(account);
+    }
+  }
+
+  return {
+    // Milliseconds until the account may try again, 0 when not locked
+    lockedFor(account) {
+      const entry = failures.get(account);
+      if (!entry) return 0;
+      if (Date.now() - entry.lastFailureAt > forgetAfterMs) {
+        failures.delete(account);
+        return 0;
+      }
+      return Math.max(entry.lockedUntil - Date.now(), 0);
+    },
+
+    recordFailure(account) {
+      const now = Date.now();
+      prune(now);
+      const entry = failures.get(account) || { count: 0, lockedUntil: 0, lastFailureAt: now };
+      if (now - entry.lastFailureAt > forgetAfterMs) entry.count = 0;
+      entry.count++;
+      entry.lastFailureAt = now;
+      if (entry.count >= threshold) {
+        entry.lockedUntil = now + Math.min(baseMs * 2 ** (entry.count - threshold), maxMs);
+      }
+      failures.set(account, entry);
+    },
+
+    recordSuccess(account) {
+      failures.delete(account);
+    },
+  };
+}
+
+export { parseLimit, createRateLimiter, rateLimit, createLoginGuard, sendTooManyRequests };
@@ -0,0 +1,195 @@
+import allure from "allure-commandline";
+import fsp from "fs/promises";
+import os from "os";
+import path from "path";
+import { getStorage, runPrefix } from "./storage.js";
+import { getRunManifest } from "./summaryIndex.js";
+import { findPreviousRun, hasHistory, saveHistory, downloadHistory } from "./history.js";
+
+/**
+ * Server-side Allure HTML report generation.
+ *
+ * Reports are generated with allure-commandline into a local cache directory,
+ * one folder per run and manifest fingerprint:
+ *
+ *   <REPORT_CACHE_DIR>/<runId>/<fingerprint>/index.html
+ *
+ * When a run's objects change its fingerprint changes too, so the next request
+ * generates a fresh report and older folders for that run are removed.
+ *
+ * The previous run's history is injected before generation and the new
+ * report's history is stored for the next run (see history.js).
+ */
+
+const CACHE_DIR = path.resolve(
+  process.env.REPORT_CACHE_DIR || path.join(os.tmpdir(), "allure-telephony", "reports")
+);
+
+// How many earlier runs may be generated to rebuild a missing history chain
+const HISTORY_MAX_DEPTH = Number(process.env.HISTORY_MAX_DEPTH) || 10;
+
+// Generations requested while this many are already queued or running are turned away
+const MAX_QUEUED_REPORTS = Number(process.env.REPORT_QUEUE_MAX) || 3;
+
+// Generation runs Java, so reports are generated one at a time
+let queue = Promise.resolve();
+const inFlight = new Map();
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+const runCacheDir = (runId) => path.join(CACHE_DIR, runId);
+
+function runAllure(args) {
+  return new Promise((resolve, reject) => {
+    const child = allure(args.map(shellQuote));
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`Allure generation failed with exit code ${code}. Is Java installed on the server?`));
+    });
+  });
+}
+
+async function exists(file) {
+  try {
+    await fsp.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Copy a run's objects into a flat allure-results directory, like the ZIP download
+async function downloadResults(runId, targetDir) {
+  const storage = getStorage();
+  const objects = await storage.listObjects(runPrefix(runId));
+  await fsp.mkdir(targetDir, { recursive: true });
+
+  for (const obj of objects) {
+    const name = path.posix.basename(obj.key);
+    if (!name) continue;
+    const body = await storage.getObject(obj.key);
+    await fsp.writeFile(path.join(targetDir, name), body);
+  }
+  return objects.length;
+}
+
+async function generate(runId, fingerprint, previousRunId) {
+  const baseDir = runCacheDir(runId);
+  const reportDir = path.join(baseDir, fingerprint);
+  const workDir = path.join(baseDir, `${fingerprint}.work`);
+  const resultsDir = path.join(workDir, "results");
+  const outputDir = path.join(workDir, "report");
+
+  await fsp.rm(workDir, { recursive: true, force: true });
+
+  try {
+    const fileCount = await downloadResults(runId, resultsDir);
+    if (fileCount === 0) {
+      const err = new Error(`No files found for runId: ${runId}`);
+      err.status = 404;
+      throw err;
+    }
+
+    if (previousRunId) {
+      const historyFiles = await downloadHistory(previousRunId, path.join(resultsDir, "history"));
+      console.log(`Injected ${historyFiles} history files from ${previousRunId}`);
+    }
+
+    console.log(`Generating Allure report for ${runId} from ${fileCount} files...`);
+    await runAllure(["generate", resultsDir, "-o", outputDir, "--clean"]);
+    await saveHistory(runId, path.join(outputDir, "history"));
+
+    await fsp.rm(reportDir, { recursive: true, force: true });
+    await fsp.rename(outputDir, reportDir);
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+
+  // Keep only the report for the current fingerprint
+  for (const entry of await fsp.readdir(baseDir)) {
+    if (entry !== fingerprint) {
+      await fsp.rm(path.join(baseDir, entry), { recursive: true, force: true });
+    }
+  }
+
+  console.log(`Allure report for ${runId} ready`);
+}
+
+/**
+ * Find the run whose history the given run inherits and make sure that history
+ * exists, generating earlier reports (up to `depth` of them) if needed.
+ * Returns the previous run id, or null when there is none.
+ */
+async function ensurePreviousHistory(runId, depth = HISTORY_MAX_DEPTH) {
+  const previousRunId = await findPreviousRun(runId);
+  if (!previousRunId) return null;
+
+  if (depth > 0 && !(await hasHistory(previousRunId))) {
+    try {
+      await ensureReport(previousRunId, depth - 1);
+    } catch (err) {
+      console.error(`Could not build history from ${previousRunId}:`, err.message);
+    }
+  }
+  return previousRunId;
+}
+
+/**
+ * Make sure an up-to-date HTML report exists for a run and return its folder.
+ * Concurrent calls for the same run share one generation. A new generation is
+ * rejected with err.status 503 while MAX_QUEUED_REPORTS are queued or running;
+ * earlier reports generated to rebuild the history chain are not counted.
+ */
+async function ensureReport(runId, depth = HISTORY_MAX_DEPTH) {
+  const { fingerprint } = await getRunManifest(runId);
+  const reportDir = path.join(runCacheDir(runId), fingerprint);
+
+  if (await exists(path.join(reportDir, "index.html"))) {
+    return { dir: reportDir, fingerprint, generated: false };
+  }
+
+  const key = `${runId}/${fingerprint}`;
+  if (!inFlight.has(key) && depth === HISTORY_MAX_DEPTH && inFlight.size >= MAX_QUEUED_REPORTS) {
+    const err = new Error("Too many reports are being generated, please try again in a minute");
+    err.status = 503;
+    throw err;
+  }
+  if (!inFlight.has(key)) {
+    // Resolved before queueing, as it may have to generate earlier reports itself
+    const previous = ensurePreviousHistory(runId, depth);
+    const job = previous.then((previousRunId) => {
+      const run = queue.then(() => generate(runId, fingerprint, previousRunId));
+      queue = run.catch(() => {});
+      return run;
+    });
+    inFlight.set(key, job.finally(() => inFlight.delete(key)));
+  }
+  await inFlight.get(key);
+
+  return { dir: reportDir, fingerprint, generated: true };
+}
+
+// Folder of the newest generated report for a run, without checking freshness
+async function getCachedReportDir(runId) {
+  let entries;
+  try {
+    entries = await fsp.readdir(runCacheDir(runId), { withFileTypes: true });
+  } catch {
+    return null;
+  }
+  for (const entry of entries) {
+    const dir = path.join(runCacheDir(runId), entry.name);
+    if (entry.isDirectory() && !entry.name.endsWith(".work") && await exists(path.join(dir, "index.html"))) {
+      return dir;
+    }
+  }
+  return null;
+}
+
+// Remove cached reports for a run, e.g. when it is deleted
+async function removeCachedReport(runId) {
+  await fsp.rm(runCacheDir(runId), { recursive: true, force: true });
+}
+
+export { ensureReport, getCachedReportDir, removeCachedReport };
@@ -0,0 +1,242 @@
+import { getStorage, runPrefix } from "./storage.js";
+import { listRunIds } from "./allureReportFetcher.js";
+import { getRunSummary, invalidateRunSummary } from "./summaryIndex.js";
+import { removeHistory } from "./history.js";
+import { removeCachedReport } from "./reportGenerator.js";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * Run deletion and retention rules, stored in DATA_DIR/retention.json.
+ *
+ * Rules (each optional):
+ * - keepLast:   keep only the newest N unpinned runs
+ * - maxAgeDays: delete runs older than this many days
+ * Pinned runs are never deleted, neither by the rules nor by hand, and do not
+ * count towards keepLast. Only existing runs can be pinned; pins of runs that
+ * are gone are dropped when the rules are applied.
+ *
+ * A run's date is when its tests started (from its summary), falling back to
+ * when its files were stored. When `enabled`, the rules are applied every
+ * RETENTION_INTERVAL_HOURS (default 24).
+ */
+
+const RETENTION_INTERVAL_MS = (Number(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const DELETE_BATCH_SIZE = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore("retention.json", {
+  enabled: false,
+  keepLast: null,
+  maxAgeDays: null,
+  pinned: [],
+  lastRun: null,
+});
+
+function retentionError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// null/"" clear a rule; anything else must be a positive whole number
+function parseRule(value, name) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw retentionError(400, `${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+async function getRetentionSettings() {
+  return store.read();
+}
+
+async function updateRetentionSettings({ enabled, keepLast, maxAgeDays }) {
+  const rules = {
+    ...(keepLast !== undefined && { keepLast: parseRule(keepLast, "keepLast") }),
+    ...(maxAgeDays !== undefined && { maxAgeDays: parseRule(maxAgeDays, "maxAgeDays") }),
+    ...(enabled !== undefined && { enabled: Boolean(enabled) }),
+  };
+  return store.update((data) => {
+    Object.assign(data, rules);
+    return { ...data };
+  });
+}
+
+async function isPinned(runId) {
+  return (await store.read()).pinned.includes(runId);
+}
+
+async function setPinned(runId, pinned) {
+  if (pinned && !(await listRunIds()).includes(runId)) {
+    throw retentionError(404, `No files found for runId: ${runId}`);
+  }
+  return store.update((data) => {
+    data.pinned = data.pinned.filter((id) => id !== runId);
+    if (pinned) data.pinned.push(runId);
+    return [...data.pinned];
+  });
+}
+
+// Objects, total size and date of one run
+async function describeRun(runId) {
+  const objects = await getStorage().listObjects(runPrefix(runId));
+  const bytes = objects.reduce((sum, obj) => sum + (obj.size || 0), 0);
+  const storedAt = objects.reduce((latest, obj) => {
+    const time = obj.lastModified ? new Date(obj.lastModified).getTime() : 0;
+    return Math.max(latest, time);
+  }, 0);
+
+  let startedAt = null;
+  try {
+    startedAt = (await getRunSummary(runId)).time?.start || null;
+  } catch (err) {
+    console.error(`No summary for ${runId}, dating it by its files:`, err.message);
+  }
+
+  return { runId, objects, bytes, date: startedAt || storedAt || null };
+}
+
+/**
+ * Delete a run: its stored files, summary manifest, Allure history and cached
+ * HTML reports. Resolves with { runId, objects, bytes }.
+ */
+async function deleteRun(runId, { run } = {}) {
+  if (await isPinned(runId)) {
+    throw retentionError(409, `${runId} is pinned. Unpin it before deleting it.`);
+  }
+  const storage = getStorage();
+  const { objects, bytes } = run || await describeRun(runId);
+  if (objects.length === 0) throw retentionError(404, `No files found for runId: ${runId}`);
+
+  for (let i = 0; i < objects.length; i += DELETE_BATCH_SIZE) {
+    await Promise.all(objects.slice(i, i + DELETE_BATCH_SIZE).map((obj) => storage.deleteObject(obj.key)));
+  }
+  await Promise.all([
+    invalidateRunSummary(runId).catch((err) => console.error(`Could not remove manifest of ${runId}:`, err.message)),
+    removeHistory(runId).catch((err) => console.error(`Could not remove history of ${runId}:`, err.message)),
+    removeCachedReport(runId).catch((err) => console.error(`Could not remove cached report of ${runId}:`, err.message)),
+  ]);
+
+  await setPinned(runId, false);
+
+  console.log(`Deleted ${runId}: ${objects.length} objects, ${bytes} bytes`);
+  return { runId, objects: objects.length, bytes };
+}
+
+/**
+ * Work out which runs the rules would delete, without deleting anything.
+ * `rules` defaults to the saved settings, so unsaved rules can be previewed.
+ */
+async function planRetention(rules) {
+  const settings = await store.read();
+  const keepLast = rules ? parseRule(rules.keepLast, "keepLast") : settings.keepLast;
+  const maxAgeDays = rules ? parseRule(rules.maxAgeDays, "maxAgeDays") : settings.maxAgeDays;
+  const pinned = new Set(settings.pinned);
+
+  const runs = [];
+  for (const runId of await listRunIds()) {
+    runs.push(await describeRun(runId));
+  }
+  // Newest first; undated runs sort by id after the dated ones
+  runs.sort((a, b) => (b.date || 0) - (a.date || 0) || b.runId.localeCompare(a.runId));
+
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * DAY_MS : null;
+  const candidates = [];
+  let unpinnedIndex = 0;
+  runs.forEach((run) => {
+    if (pinned.has(run.runId)) return;
+    const reasons = [];
+    if (keepLast && unpinnedIndex >= keepLast) reasons.push("keep-last");
+    if (cutoff !== null && run.date && run.date < cutoff) reasons.push("max-age");
+    unpinnedIndex++;
+    if (reasons.length > 0) candidates.push({ ...run, reasons });
+  });
+
+  return {
+    rules: { keepLast, maxAgeDays },
+    totalRuns: runs.length,
+    keptRuns: runs.length - candidates.length,
+    pinnedKept: runs.filter((run) => pinned.has(run.runId)).length,
+    candidates,
+    bytesFreed: candidates.reduce((sum, run) => sum + run.bytes, 0),
+  };
+}
+
+// Public shape of a plan, without per-object listings
+const describePlan = (plan) => ({
+  ...plan,
+  candidates: plan.candidates.map(({ objects, ...run }) => ({ ...run, objects: objects.length })),
+});
+
+// Dry run: what the saved (or given) rules would delete and how many bytes that frees
+async function previewRetention(rules) {
+  return describePlan(await planRetention(rules));
+}
+
+let applying = null;
+
+/**
+ * Apply the saved rules now. Resolves with the plan plus { deleted, errors }.
+ */
+async function applyRetention() {
+  if (applying) return applying;
+
+  applying = (async () => {
+    const plan = await planRetention();
+    const deleted = [];
+    const errors = [];
+    for (const run of plan.candidates) {
+      try {
+        deleted.push(await deleteRun(run.runId, { run }));
+      } catch (err) {
+        errors.push({ runId: run.runId, error: err.message });
+      }
+    }
+
+    const lastRun = {
+      at: new Date().toISOString(),
+      deleted: deleted.length,
+      bytesFreed: deleted.reduce((sum, run) => sum + run.bytes, 0),
+      errors: errors.length,
+    };
+    const existing = new Set(await listRunIds());
+    await store.update((data) => {
+      data.lastRun = lastRun;
+      data.pinned = data.pinned.filter((runId) => existing.has(runId));
+    });
+    console.log(`Retention removed ${lastRun.deleted} runs (${lastRun.bytesFreed} bytes), ${lastRun.errors} errors`);
+    return { ...describePlan(plan), deleted, errors };
+  })().finally(() => {
+    applying = null;
+  });
+  return applying;
+}
+
+// Apply the rules on a timer while they are enabled
+function startRetentionSchedule({ onApplied } = {}) {
+  const tick = async () => {
+    try {
+      const settings = await store.read();
+      if (!settings.enabled || (!settings.keepLast && !settings.maxAgeDays)) return;
+      const result = await applyRetention();
+      if (onApplied) onApplied(result);
+    } catch (err) {
+      console.error("Scheduled retention failed:", err);
+    }
+  };
+  const timer = setInterval(tick, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+export {
+  getRetentionSettings,
+  updateRetentionSettings,
+  setPinned,
+  deleteRun,
+  previewRetention,
+  applyRetention,
+  startRetentionSchedule,
+};
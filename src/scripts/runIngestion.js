@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import AdmZip from "adm-zip";
+import { getStorage, runPrefix } from "./storage.js";
+
+/**
+ * Validation and storage of uploaded allure-results.
+ *
+ * Uploads are flattened to file names, checked against the Allure results
+ * format and written under `<reports prefix><runId>/` like any other run, so
+ * every reader picks them up without knowing where they came from.
+ */
+
+const MAX_UNCOMPRESSED_BYTES = Number(process.env.INGEST_MAX_UNCOMPRESSED_BYTES) || 500 * 1024 * 1024;
+
+const WRITE_BATCH_SIZE = 16;
+
+const ALLURE_STATUSES = ["passed", "failed", "broken", "skipped", "unknown"];
+
+// File names Allure writes into a results directory
+const ALLURE_FILE_PATTERNS = [
+  /-result\.json$/,
+  /-container\.json$/,
+  /-attachment(\.[\w-]+)?$/,
+  /^environment\.(properties|xml)$/,
+  /^categories\.json$/,
+  /^executor\.json$/,
+];
+
+// Archive noise that is dropped without being reported
+const IGNORED_FILE_PATTERNS = [/^__MACOSX\//, /(^|\/)\._/, /(^|\/)\.DS_Store$/];
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".xml": "application/xml",
+  ".properties": "text/plain",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".html": "text/html",
+};
+
+const contentTypeFor = (name) => CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+
+const isZip = (name, buffer) =>
+  name.toLowerCase().endsWith(".zip") || (buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50);
+
+function generateRunId() {
+  return `allure-results-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+function zipError(message) {
+  return new Error(`Archive ${message}`);
+}
+
+/**
+ * Expand a ZIP archive into { name, data } entries, guarding against zip bombs.
+ *
+ * The sizes an archive declares for its entries are not trusted: each entry is
+ * inflated on the zlib thread pool with an output limit of whatever is left of
+ * MAX_UNCOMPRESSED_BYTES, so inflation stops as soon as the archive as a whole
+ * passes the limit and the event loop stays free while it runs.
+ */
+async function expandZip(buffer) {
+  const entries = new AdmZip(buffer).getEntries().filter((entry) => !entry.isDirectory);
+  const expanded = [];
+  let total = 0;
+
+  for (const entry of entries) {
+    if (entry.header.encrypted) throw zipError(`entry ${entry.entryName} is encrypted`);
+    const compressed = entry.getCompressedData();
+    const remaining = MAX_UNCOMPRESSED_BYTES - total;
+
+    let data;
+    if (entry.header.method === ZIP_STORED) {
+      data = compressed;
+    } else if (entry.header.method === ZIP_DEFLATED) {
+      try {
+        // One byte over what is left tells "exactly at the limit" from "over it"
+        data = await inflateRaw(compressed, { maxOutputLength: remaining + 1 });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") data = null;
+        else throw zipError(`entry ${entry.entryName} could not be inflated: ${err.message}`);
+      }
+    } else {
+      throw zipError(`entry ${entry.entryName} uses unsupported compression method ${entry.header.method}`);
+    }
+
+    if (data === null || data.length > remaining) {
+      throw zipError(`expands to more than the ${MAX_UNCOMPRESSED_BYTES} byte limit`);
+    }
+    total += data.length;
+    expanded.push({ name: entry.entryName, data });
+  }
+  return expanded;
+}
+
+function validateJson(name, data, validate) {
+  let parsed;
+  try {
+    parsed = JSON.parse(data.toString("utf-8"));
+  } catch {
+    return `${name}: not valid JSON`;
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return `${name}: expected a JSON object`;
+  }
+  return validate(parsed);
+}
+
+function validateResult(name, result) {
+  if (typeof result.uuid !== "string" || !result.uuid) return `${name}: missing "uuid"`;
+  if (typeof result.name !== "string") return `${name}: missing "name"`;
+  if (result.status !== undefined && !ALLURE_STATUSES.includes(result.status)) {
+    return `${name}: unknown status "${result.status}"`;
+  }
+  for (const field of ["start", "stop"]) {
+    if (result[field] !== undefined && typeof result[field] !== "number") {
+      return `${name}: "${field}" must be a number`;
+    }
+  }
+  return null;
+}
+
+function validateContainer(name, container) {
+  if (typeof container.uuid !== "string" || !container.uuid) return `${name}: missing "uuid"`;
+  if (container.children !== undefined && !Array.isArray(container.children)) {
+    return `${name}: "children" must be an array`;
+  }
+  return null;
+}
+
+/**
+ * Turn uploaded files (ZIPs are expanded) into a validated, flat list of
+ * Allure results files.
+ *
+ * @param {{ name: string, data: Buffer }[]} uploads
+ * @returns {Promise<{ files: { name: string, data: Buffer }[], ignored: string[], errors: string[], tests: number }>}
+ */
+async function prepareUpload(uploads) {
+  const entries = [];
+  for (const upload of uploads) {
+    if (isZip(upload.name, upload.data)) entries.push(...(await expandZip(upload.data)));
+    else entries.push(upload);
+  }
+
+  const files = [];
+  const ignored = [];
+  const errors = [];
+  const seen = new Set();
+  let tests = 0;
+
+  for (const entry of entries) {
+    const entryName = entry.name.replace(/\\/g, "/");
+    if (IGNORED_FILE_PATTERNS.some((pattern) => pattern.test(entryName))) continue;
+
+    const name = path.posix.basename(entryName);
+    if (!ALLURE_FILE_PATTERNS.some((pattern) => pattern.test(name))) {
+      ignored.push(entryName);
+      continue;
+    }
+    if (seen.has(name)) {
+      errors.push(`${entryName}: duplicate file name "${name}"`);
+      continue;
+    }
+    seen.add(name);
+
+    let error = null;
+    if (name.endsWith("-result.json")) {
+      error = validateJson(name, entry.data, (result) => validateResult(name, result));
+      if (!error) tests++;
+    } else if (name.endsWith("-container.json")) {
+      error = validateJson(name, entry.data, (container) => validateContainer(name, container));
+    }
+
+    if (error) errors.push(error);
+    else files.push({ name, data: entry.data });
+  }
+
+  if (!errors.length && tests === 0) {
+    errors.push("No Allure test results (*-result.json) found in the upload");
+  }
+
+  return { files, ignored, errors, tests };
+}
+
+/**
+ * Store validated files as a new run. Results are written last so a reader
+ * never sees a result whose attachments are still missing; on failure the
+ * partial run is removed again.
+ */
+async function storeRun(files) {
+  const storage = getStorage();
+  const runId = generateRunId();
+  const prefix = runPrefix(runId);
+
+  const groups = [
+    files.filter((f) => !f.name.endsWith("-result.json")),
+    files.filter((f) => f.name.endsWith("-result.json")),
+  ];
+
+  const written = [];
+  const put = async (file) => {
+    const key = `${prefix}${file.name}`;
+    await storage.putObject(key, file.data, {
+      contentType: contentTypeFor(file.name),
+    });
+    written.push(key);
+  };
+
+  try {
+    for (const group of groups) {
+      for (let i = 0; i < group.length; i += WRITE_BATCH_SIZE) {
+        await Promise.all(group.slice(i, i + WRITE_BATCH_SIZE).map(put));
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to store run ${runId}, removing ${written.length} written files`);
+    await Promise.all(written.map((key) => storage.deleteObject(key).catch(() => {})));
+    throw err;
+  }
+
+  return runId;
+}
+
+export { prepareUpload, storeRun, contentTypeFor };
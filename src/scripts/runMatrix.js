@@ -0,0 +1,135 @@
+import { listRunIds, selectReports } from "./allureReportFetcher.js";
+import { getRunManifest, groupAttempts } from "./summaryIndex.js";
+
+/**
+ * Cross-run views: per-run trend points and the test-by-run matrix for
+ * comparing any number of runs.
+ *
+ * Built from the per-run summary manifests, so no result files are read.
+ * Tests are matched across runs by historyId, falling back to fullName; when a
+ * run holds several attempts of one test, the last one counts.
+ */
+
+const MAX_MATRIX_RUNS = 50;
+const MAX_HISTORY_RUNS = 50;
+
+// Every attempt of every test in a manifest, keyed by testKey, oldest attempt first
+const manifestAttempts = (manifest) =>
+  groupAttempts(Object.values(manifest.files || {}).map((file) => file.test).filter(Boolean));
+
+// Latest attempt of every test in a manifest, keyed by testKey
+function latestTests(manifest) {
+  const tests = new Map();
+  manifestAttempts(manifest).forEach((attempts, key) => tests.set(key, attempts[attempts.length - 1]));
+  return tests;
+}
+
+function describeRun(runId, summary) {
+  const stats = summary.statistic || {};
+  const executed = (stats.total || 0) - (stats.skipped || 0);
+  return {
+    runId,
+    start: summary.time?.start || null,
+    stop: summary.time?.stop || null,
+    duration: summary.time?.start && summary.time?.stop ? summary.time.stop - summary.time.start : null,
+    statistic: stats,
+    passRate: executed > 0 ? Math.round(((stats.passed || 0) / executed) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Pass rate, status counts and duration of the newest `limit` runs (or those
+ * started between `from` and `to`), oldest first.
+ */
+async function buildRunTrends({ from = null, to = null, limit = 30 } = {}) {
+  const reports = await selectReports({ from, to, limit });
+  return reports.map((report) => describeRun(report.runId, report.summary));
+}
+
+/**
+ * Resolves with { runs, tests }. `runs` are oldest first; every test has a
+ * `cells` array in the same order holding { status, duration } or null when
+ * the test is missing from that run.
+ */
+async function buildRunMatrix({ runIds = null, from = null, to = null } = {}) {
+  if (runIds && runIds.length > MAX_MATRIX_RUNS) {
+    const err = new Error(`Compare at most ${MAX_MATRIX_RUNS} runs at once`);
+    err.status = 400;
+    throw err;
+  }
+
+  const reports = await selectReports({ runIds, from, to, limit: MAX_MATRIX_RUNS });
+  const manifests = await Promise.all(reports.map((report) => getRunManifest(report.runId)));
+  const runTests = manifests.map(latestTests);
+
+  const rows = new Map();
+  runTests.forEach((tests, index) => {
+    tests.forEach((test, key) => {
+      if (!rows.has(key)) {
+        rows.set(key, { key, name: test.name, fullName: test.fullName, cells: new Array(reports.length).fill(null) });
+      }
+      const row = rows.get(key);
+      // Names follow the newest run a test appears in
+      row.name = test.name || row.name;
+      row.fullName = test.fullName || row.fullName;
+      row.cells[index] = {
+        status: test.status,
+        duration: test.start && test.stop ? test.stop - test.start : null,
+      };
+    });
+  });
+
+  return {
+    runs: reports.map((report) => describeRun(report.runId, report.summary)),
+    tests: [...rows.values()].sort((a, b) => (a.name || a.key).localeCompare(b.name || b.key)),
+  };
+}
+
+/**
+ * History of every test in one run over that run and the `limit - 1` runs
+ * before it. Resolves with { runs, tests }: `runs` are { runId, start }
+ * oldest first, and `tests` maps each test key of the run to one cell per run
+ * holding { status, duration, message } or null when the test did not run.
+ */
+async function buildTestHistory(runId, { limit = 10 } = {}) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_RUNS) {
+    const err = new Error(`limit must be an integer between 1 and ${MAX_HISTORY_RUNS}`);
+    err.status = 400;
+    throw err;
+  }
+
+  if (!(await listRunIds()).includes(runId)) {
+    const err = new Error(`No files found for runId: ${runId}`);
+    err.status = 404;
+    throw err;
+  }
+
+  // Runs that started up to this one; a run without timings has no place in the timeline
+  const { summary } = await getRunManifest(runId);
+  const start = summary.time?.start;
+  const earlier = start ? await selectReports({ to: start, limit }) : [];
+  const others = earlier.filter((report) => report.runId !== runId);
+  // The run itself comes last, even when another run started at the same time
+  const inWindow = [...others.slice(Math.max(0, others.length - limit + 1)), { runId, summary }];
+  const runTests = await Promise.all(inWindow.map(async (report) => latestTests(await getRunManifest(report.runId))));
+
+  const tests = {};
+  runTests[runTests.length - 1].forEach((test, key) => {
+    tests[key] = runTests.map((testsOfRun) => {
+      const match = testsOfRun.get(key);
+      if (!match) return null;
+      return {
+        status: match.status,
+        duration: match.start && match.stop ? match.stop - match.start : null,
+        message: match.message || null,
+      };
+    });
+  });
+
+  return {
+    runs: inWindow.map((report) => ({ runId: report.runId, start: report.summary.time?.start || null })),
+    tests,
+  };
+}
+
+export { buildTestHistory, manifestAttempts, buildRunTrends, buildRunMatrix, MAX_MATRIX_RUNS };
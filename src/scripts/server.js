@@ -1,12 +1,59 @@
 import express from "express";
 import cors from "cors";
-import jwt from "jsonwebtoken";
-import bcrypt from "bcryptjs";
 import dotenv from "dotenv";
 import path from "path";
 import archiver from "archiver";
-import { S3Client, ListObjectsV2Command, GetObjectCommand } from "@aws-sdk/client-s3";
-import { listAllReports } from "./allureReportFetcher.js";
+import multer from "multer";
+import { listAllReports, listReportsPage, REPORT_SORTS } from "./allureReportFetcher.js";
+import { getStorage, runPrefix, isValidRunId, streamToString } from "./storage.js";
+import { prepareUpload, storeRun, contentTypeFor } from "./runIngestion.js";
+import { buildRunModel, getAttachment } from "./allureModel.js";
+import { ensureReport, getCachedReportDir } from "./reportGenerator.js";
+import { findPreviousRun, listHistory } from "./history.js";
+import { buildRunTrends, buildRunMatrix, buildTestHistory } from "./runMatrix.js";
+import { findFlakyTests } from "./flaky.js";
+import {
+  issueSession,
+  refreshSession,
+  endSession,
+  bearerToken,
+  requireAuth,
+  requirePermission,
+  createReportTicket,
+  requireReportTicket,
+} from "./auth.js";
+import {
+  ROLES,
+  seedAdmin,
+  listUsers,
+  getUser,
+  verifyCredentials,
+  createUser,
+  updateUser,
+  resetPassword,
+  upsertSsoUser,
+} from "./users.js";
+import { revokeUserSessions } from "./sessions.js";
+import { KEY_SCOPES, listApiKeys, createApiKey, revokeApiKey } from "./apiKeys.js";
+import { OUTCOMES, recordAudit, auditRequest, queryAudit, listAuditActions } from "./audit.js";
+import {
+  getRetentionSettings,
+  updateRetentionSettings,
+  setPinned,
+  deleteRun,
+  previewRetention,
+  applyRetention,
+  startRetentionSchedule,
+} from "./retention.js";
+import { parseLimit, createRateLimiter, rateLimit, createLoginGuard, sendTooManyRequests } from "./rateLimit.js";
+import {
+  BINDING_COOKIE,
+  PENDING_TTL_MS,
+  isOidcEnabled,
+  getProviderName,
+  createAuthorizationUrl,
+  completeAuthorization,
+} from "./oidc.js";
 
 dotenv.config();
 
@@ -16,61 +63,271 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Behind a load balancer client IPs come from X-Forwarded-For. Rate limits key on
+// req.ip, so on Render (which sets RENDER) its one proxy hop is trusted by default;
+// TRUST_PROXY overrides this with a hop count, "true"/"false" or addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.RENDER ? "1" : "");
+if (TRUST_PROXY && TRUST_PROXY !== "false") {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+}
+
 const PORT = 5003;
 
-const SECRET_KEY = process.env.JWT_SECRET;
-if (!SECRET_KEY) throw new Error('JWT_SECRET is not set in .env');
+if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set in .env');
 
-const user = {
-  id: 1,
-  email: process.env.LOGIN_EMAIL,
-  password: bcrypt.hashSync(process.env.LOGIN_PASSWORD, 8),
-};
+const storage = getStorage();
 
-const BUCKET_NAME = process.env.VITE_S3_BUCKET || "allure-report-telephony";
+// Every route taking a runId maps it onto storage keys and cache paths
+app.param("runId", (req, res, next, runId) => {
+  if (!isValidRunId(runId)) {
+    return res.status(400).json({ error: `Invalid runId: ${runId}` });
+  }
+  next();
+});
 
-const s3Client = new S3Client({
-  region: "auto",
-  endpoint: process.env.VITE_S3_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.VITE_AWS_ACCESS_KEY,
-    secretAccessKey: process.env.VITE_AWS_SECRET_KEY,
-  },
+// Login attempts are limited per client IP, and accounts lock for a growing
+// time after repeated failures. Unknown emails count as failures too, and every
+// credential failure gets the same response, so neither reveals which accounts exist.
+const loginIpLimiter = createRateLimiter(parseLimit(process.env.RATE_LIMIT_LOGIN_IP, "20/900"));
+const loginGuard = createLoginGuard();
+
+const minutes = (ms) => Math.max(Math.ceil(ms / 60000), 1);
+
+app.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const account = String(email || "").trim().toLowerCase();
+
+    let user = null;
+    const audit = (outcome, details) =>
+      recordAudit({ action: "login", outcome, actor: { id: user?.id, email: account }, ip: req.ip, details });
+
+    const ipCheck = loginIpLimiter.hit(req.ip);
+    if (!ipCheck.allowed) {
+      audit("denied", { reason: "rate-limited" });
+      return sendTooManyRequests(res, ipCheck.retryAfterMs,
+        `Too many sign-in attempts. Try again in ${minutes(ipCheck.retryAfterMs)} minute(s).`);
+    }
+
+    const lockedFor = loginGuard.lockedFor(account);
+    if (lockedFor > 0) {
+      audit("denied", { reason: "locked" });
+      return sendTooManyRequests(res, lockedFor,
+        `Too many failed sign-in attempts. Try again in ${minutes(lockedFor)} minute(s).`);
+    }
+
+    const result = await verifyCredentials(account, password);
+    user = result.user;
+    const { reason } = result;
+
+    if (reason === "email" || reason === "password") {
+      loginGuard.recordFailure(account);
+      audit("failure", { reason: "invalid-credentials" });
+      console.warn(`Failed login for ${account || "<empty>"} from ${req.ip}`);
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+
+    loginGuard.recordSuccess(account);
+
+    if (reason === "disabled") {
+      audit("denied", { reason: "disabled" });
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
+
+    audit("success");
+    res.json(await issueSession(user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: "Login failed" });
+  }
 });
 
-app.post("/login", (req, res) => {
-  const { email, password } = req.body;
+// Swap a refresh token for a new access token and a rotated refresh token
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body?.refreshToken));
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, code: "SESSION_REVOKED" });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: "Could not refresh the session" });
+  }
+});
 
-  if (email !== user.email) {
-    return res.status(400).json({ message: "Invalid email" });
+// Revoke the session so its refresh token and access tokens stop working
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const session = await endSession({ refreshToken: req.body?.refreshToken, accessToken: bearerToken(req) });
+    if (session) {
+      const user = await getUser(session.userId);
+      recordAudit({ action: "logout", actor: user || { id: session.userId }, ip: req.ip });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: "Logout failed" });
   }
+});
+
+// Single sign-on through an OpenID Connect provider. The browser ends up back in
+// the frontend at /sso-callback with our own tokens in the URL fragment.
+const APP_BASE_URL = (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/$/, "");
 
-  if (!bcrypt.compareSync(password, user.password)) {
-    return res.status(400).json({ message: "Invalid password" });
+const ssoFailure = (res, message) =>
+  res.redirect(`${APP_BASE_URL}/?ssoError=${encodeURIComponent(message)}`);
+
+// The login flow runs on this server's origin, so the binding cookie is sent back
+// with the provider's top-level redirect to the callback (SameSite=Lax)
+const bindingCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: req.secure,
+  path: "/auth/oidc",
+});
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
   }
+  return null;
+}
 
-  const token = jwt.sign({ id: user.id, email: user.email }, SECRET_KEY, {
-    expiresIn: "24h",
-  });
+app.get("/auth/oidc/config", (req, res) => {
+  res.json({ enabled: isOidcEnabled(), providerName: getProviderName() });
+});
+
+app.get("/auth/oidc/login", async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).json({ message: "Single sign-on is not configured" });
+  try {
+    const { url, binding } = await createAuthorizationUrl();
+    res.cookie(BINDING_COOKIE, binding, { ...bindingCookieOptions(req), maxAge: PENDING_TTL_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    ssoFailure(res, "Could not reach the identity provider");
+  }
+});
+
+app.get("/auth/oidc/callback", async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).json({ message: "Single sign-on is not configured" });
+
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const binding = readCookie(req, BINDING_COOKIE);
+  res.clearCookie(BINDING_COOKIE, bindingCookieOptions(req));
+  const audit = (outcome, actor, details) => recordAudit({ action: "login.sso", outcome, actor, ip: req.ip, details });
+  if (error) {
+    audit("failure", null, { reason: errorDescription || error });
+    return ssoFailure(res, errorDescription || error);
+  }
+
+  try {
+    const identity = await completeAuthorization({ code, state, binding });
+    const user = await upsertSsoUser(identity);
+    if (user.disabled) {
+      audit("denied", user, { reason: "disabled" });
+      return ssoFailure(res, "This account has been disabled");
+    }
 
-  res.json({ token });
+    console.log(`SSO login for ${user.email} (${user.role}, groups: ${identity.groups.join(", ") || "none"})`);
+    audit("success", user, { groups: identity.groups });
+    const { token, refreshToken } = await issueSession(user);
+    const fragment = new URLSearchParams({ token, refreshToken }).toString();
+    res.redirect(`${APP_BASE_URL}/sso-callback#${fragment}`);
+  } catch (err) {
+    console.error('OIDC callback error:', err);
+    audit("failure", null, { reason: err.message });
+    ssoFailure(res, err.message);
+  }
 });
 
-app.get("/dashboard", (req, res) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-  if (!token) return res.sendStatus(401);
+app.get("/dashboard", requireAuth, (req, res) => {
+  res.json({ message: "Welcome to Dashboard", user: req.user });
+});
 
-  jwt.verify(token, SECRET_KEY, (err, decoded) => {
-    if (err) return res.sendStatus(403);
-    res.json({ message: "Welcome to Dashboard", user: decoded });
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "ok",
+    message: "Allure Download Service is running",
+    timestamp: new Date().toISOString(),
   });
 });
 
-app.get("/api/reports", async (req, res) => {
+// Serve a generated report. Opening index.html regenerates it if the run changed.
+// Authenticated by the ticket in the path, as new tabs cannot send our token.
+app.get("/api/run/:runId/html/:ticket{/*file}", requireReportTicket, async (req, res) => {
   try {
-    console.log('Fetching Allure reports from R2...');
-    const reports = await listAllReports();
+    const { runId } = req.params;
+    const file = (req.params.file || []).join("/") || "index.html";
+
+    // Relative asset URLs in the report only resolve below a trailing slash
+    if (!req.params.file && !req.path.endsWith("/")) {
+      return res.redirect(`${req.baseUrl}${req.path}/`);
+    }
+
+    const dir = file === "index.html"
+      ? (await ensureReport(runId)).dir
+      : (await getCachedReportDir(runId)) || (await ensureReport(runId)).dir;
+
+    res.sendFile(file, { root: dir, dotfiles: "deny" }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 404).json({ error: "Report file not found" });
+    });
+  } catch (error) {
+    console.error('Error serving HTML report:', error);
+    res.status(error.status || 500).json({ error: "Failed to serve report", details: error.message });
+  }
+});
+
+// Everything else under /api needs a signed-in user
+app.use("/api", requireAuth);
+
+// Limits on the expensive routes, per user or API key
+const downloadLimit = rateLimit("downloads", parseLimit(process.env.RATE_LIMIT_DOWNLOADS, "10/60"));
+const resultsLimit = rateLimit("results", parseLimit(process.env.RATE_LIMIT_RESULTS, "120/60"));
+const reportsLimit = rateLimit("reports", parseLimit(process.env.RATE_LIMIT_REPORTS, "5/60"));
+// Inline previews fetch one attachment each, so they get a budget of their own
+const attachmentsLimit = rateLimit("attachments", parseLimit(process.env.RATE_LIMIT_ATTACHMENTS, "600/60"));
+
+const MAX_PAGE_SIZE = 200;
+
+const encodeCursor = (runId) => Buffer.from(runId, "utf-8").toString("base64url");
+const decodeCursor = (cursor) => Buffer.from(cursor, "base64url").toString("utf-8");
+
+// Without `limit` every run is returned, as before; with it the response is one page
+// and `page.nextCursor` fetches the next one.
+app.get("/api/reports", requirePermission("read-runs"), resultsLimit, async (req, res) => {
+  try {
+    const { cursor, limit, sort = "runId" } = req.query;
+
+    if (!REPORT_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Invalid sort "${sort}". Use one of: ${REPORT_SORTS.join(", ")}` });
+    }
+
+    let pageSize = null;
+    if (limit !== undefined) {
+      pageSize = Number(limit);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+      }
+    }
+
+    console.log(`Fetching Allure reports from ${storage.name} storage...`);
+    const page = pageSize || cursor
+      ? await listReportsPage({
+          cursor: cursor ? decodeCursor(cursor) : null,
+          limit: pageSize || MAX_PAGE_SIZE,
+          sort,
+        })
+      : null;
+    const reports = page ? page.reports : await listAllReports();
+    if (!page && sort.startsWith("-")) reports.reverse();
     console.log(`Successfully fetched ${reports.length} reports`);
 
     const totalTests = reports.reduce((sum, report) => {
@@ -80,10 +337,15 @@ app.get("/api/reports", async (req, res) => {
     res.json({
       reports,
       summary: {
-        totalReports: reports.length,
+        totalReports: page ? page.totalReports : reports.length,
         totalTests,
         lastUpdated: new Date().toISOString(),
       },
+      page: {
+        sort,
+        limit: pageSize,
+        nextCursor: page?.nextCursor ? encodeCursor(page.nextCursor) : null,
+      },
     });
   } catch (err) {
     console.error('Error fetching reports:', err);
@@ -95,21 +357,16 @@ app.get("/api/reports", async (req, res) => {
   }
 });
 
-app.get("/api/download-report/:runId", async (req, res) => {
+app.get("/api/download-report/:runId", requirePermission("read-runs"), downloadLimit, async (req, res) => {
   try {
     const { runId } = req.params;
     console.log(`Creating download for runId: ${runId}`);
 
-    const listResult = await s3Client.send(new ListObjectsV2Command({
-      Bucket: BUCKET_NAME,
-      Prefix: `reports/${runId}/`,
-      MaxKeys: 1000,
-    }));
-
-    const files = listResult.Contents || [];
-    console.log(`Found ${files.length} files in R2`);
+    const files = await storage.listObjects(runPrefix(runId));
+    console.log(`Found ${files.length} files in ${storage.name} storage`);
 
     if (files.length === 0) {
+      auditRequest(req, "run.download", { outcome: "failure", target: runId, details: { reason: "not-found" } });
       return res.status(404).json({ error: `No files found for runId: ${runId}` });
     }
 
@@ -133,25 +390,38 @@ app.get("/api/download-report/:runId", async (req, res) => {
     archive.pipe(res);
 
     await Promise.all(files.map(async (file) => {
-      const filename = path.basename(file.Key);
+      const filename = path.basename(file.key);
       if (!filename) return;
       try {
-        const s3Res = await s3Client.send(new GetObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: file.Key,
-        }));
-        archive.append(s3Res.Body, { name: filename });
+        const body = await storage.getObject(file.key);
+        archive.append(body, { name: filename });
         console.log(`Streaming: ${filename}`);
       } catch (fileError) {
-        console.error(`Error streaming file ${file.Key}:`, fileError);
+        console.error(`Error streaming file ${file.key}:`, fileError);
       }
     }));
 
+    // Carry the previous run's stored history so trend widgets work in locally
+    // generated reports. Only history that already exists is added: a download
+    // never starts report generation.
+    try {
+      const previousRunId = await findPreviousRun(runId);
+      const historyFiles = previousRunId ? await listHistory(previousRunId) : [];
+      for (const file of historyFiles) {
+        archive.append(await storage.getObject(file.key), { name: `history/${file.name}` });
+      }
+      if (historyFiles.length) console.log(`Added ${historyFiles.length} history files from ${previousRunId}`);
+    } catch (historyError) {
+      console.error(`Skipping history for ${runId}:`, historyError.message);
+    }
+
     await archive.finalize();
     console.log(`Archive created successfully for ${runId}`);
+    auditRequest(req, "run.download", { target: runId, details: { files: files.length } });
 
   } catch (error) {
     console.error('Error creating download:', error);
+    auditRequest(req, "run.download", { outcome: "failure", target: req.params.runId, details: { reason: error.message } });
     if (!res.headersSent) {
       res.status(500).json({
         error: "Failed to create download",
@@ -162,60 +432,134 @@ app.get("/api/download-report/:runId", async (req, res) => {
   }
 });
 
-async function streamToString(stream) {
-  const chunks = [];
-  for await (const chunk of stream) chunks.push(chunk);
-  return Buffer.concat(chunks).toString("utf-8");
-}
-
 export { streamToString };
 
-app.get("/api/run/reports/:runId", async (req, res) => {
+// Typed model of a run: tests with their fixtures and attachment references
+app.get("/api/run/reports/:runId", requirePermission("read-runs"), resultsLimit, async (req, res) => {
   try {
-    const { runId } = req.params;
+    res.json(await buildRunModel(req.params.runId));
+  } catch (error) {
+    console.error('Error fetching run results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const listResult = await s3Client.send(new ListObjectsV2Command({
-      Bucket: BUCKET_NAME,
-      Prefix: `reports/${runId}/`,
-      MaxKeys: 1000,
-    }));
+// One attachment file of a run, by the `source` name results refer to it with
+app.get("/api/run/:runId/attachments/:source", requirePermission("read-runs"), attachmentsLimit, async (req, res) => {
+  try {
+    const { runId, source } = req.params;
+    const body = await getAttachment(runId, source);
+    res.set({
+      'Content-Type': contentTypeFor(source),
+      'Content-Disposition': `attachment; filename="${source}"`,
+      'X-Content-Type-Options': 'nosniff',
+    });
+    body.on('error', (err) => {
+      console.error(`Error streaming attachment ${source}:`, err);
+      res.destroy(err);
+    });
+    body.pipe(res);
+  } catch (error) {
+    if (!error.status) console.error('Error fetching attachment:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    const jsonFiles = (listResult.Contents || []).filter(f => f.Key.endsWith('.json'));
+// Status, duration and failure message of every test in a run over its last ?limit= runs
+app.get("/api/run/:runId/history", requirePermission("read-runs"), resultsLimit, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    res.json(await buildTestHistory(req.params.runId, { limit }));
+  } catch (error) {
+    if (!error.status) console.error('Error fetching test history:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Date query parameters accept ISO dates or epoch milliseconds
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+};
+
+// Per-run trend points for the Dashboard charts: the newest ?limit= runs or ?from=&to=
+app.get("/api/trends", requirePermission("read-runs"), resultsLimit, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const limit = req.query.limit === undefined ? 30 : Number(req.query.limit);
 
-    if (jsonFiles.length === 0) {
-      return res.json([]);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from and to must be ISO dates or epoch milliseconds" });
     }
 
-    const results = await Promise.all(jsonFiles.map(async (file) => {
-      try {
-        const s3Res = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: file.Key }));
-        const text = await streamToString(s3Res.Body);
-        return JSON.parse(text);
-      } catch {
-        return null;
-      }
-    }));
+    res.json({ runs: await buildRunTrends({ from, to, limit }) });
+  } catch (error) {
+    console.error('Error building trends:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(results.filter(Boolean));
+// Tests ranked by flakiness over the newest ?runs= runs
+app.get("/api/flaky", requirePermission("read-runs"), resultsLimit, async (req, res) => {
+  try {
+    const runs = req.query.runs === undefined ? undefined : Number(req.query.runs);
+    const minScore = req.query.minScore === undefined ? undefined : Number(req.query.minScore);
+
+    if (runs !== undefined && (!Number.isInteger(runs) || runs < 2 || runs > MAX_PAGE_SIZE)) {
+      return res.status(400).json({ error: `runs must be an integer between 2 and ${MAX_PAGE_SIZE}` });
+    }
+    if (minScore !== undefined && (Number.isNaN(minScore) || minScore < 0 || minScore > 100)) {
+      return res.status(400).json({ error: "minScore must be a number between 0 and 100" });
+    }
+
+    res.json(await findFlakyTests({ runs, minScore }));
   } catch (error) {
-    console.error('Error fetching run results:', error);
+    console.error('Error finding flaky tests:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/api/run/:runId/logs", async (req, res) => {
+// Status of every test across several runs: ?runIds=a,b,c or ?from=&to=
+app.get("/api/compare", requirePermission("read-runs"), resultsLimit, async (req, res) => {
   try {
-    const { runId } = req.params;
+    const runIds = req.query.runIds
+      ? String(req.query.runIds).split(",").map((runId) => runId.trim()).filter(Boolean)
+      : null;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (!runIds && from === null && to === null) {
+      return res.status(400).json({ error: "Pass runIds or a from/to date range" });
+    }
+    const invalid = (runIds || []).filter((runId) => !isValidRunId(runId));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid runId: ${invalid.join(", ")}` });
+    }
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from and to must be ISO dates or epoch milliseconds" });
+    }
 
-    const listResult = await s3Client.send(new ListObjectsV2Command({
-      Bucket: BUCKET_NAME,
-      Prefix: `reports/${runId}/`,
-      MaxKeys: 1000,
-    }));
+    res.json(await buildRunMatrix({ runIds, from, to }));
+  } catch (error) {
+    if (!error.status) console.error('Error comparing runs:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    const txtFiles = (listResult.Contents || []).filter(f => f.Key.endsWith('.txt'));
+app.get("/api/run/:runId/logs", requirePermission("read-runs"), downloadLimit, async (req, res) => {
+  try {
+    const { runId } = req.params;
+
+    const objects = await storage.listObjects(runPrefix(runId));
+    const txtFiles = objects.filter(f => f.key.endsWith('.txt'));
 
     if (txtFiles.length === 0) {
+      auditRequest(req, "run.logs", { outcome: "failure", target: runId, details: { reason: "not-found" } });
       return res.status(404).json({ error: 'No log files found for this run' });
     }
 
@@ -226,32 +570,337 @@ app.get("/api/run/:runId/logs", async (req, res) => {
 
     const archive = archiver('zip', { zlib: { level: 1 }, forceLocalTime: true });
     archive.on('error', (err) => {
+      console.error('Archive error:', err);
       if (!res.headersSent) res.status(500).json({ error: 'Failed to create archive' });
     });
     archive.pipe(res);
 
     await Promise.all(txtFiles.map(async (file) => {
       try {
-        const s3Res = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: file.Key }));
-        archive.append(s3Res.Body, { name: path.basename(file.Key) });
+        const body = await storage.getObject(file.key);
+        archive.append(body, { name: path.basename(file.key) });
       } catch (fileError) {
-        console.error(`Error streaming log ${file.Key}:`, fileError);
+        console.error(`Error streaming log ${file.key}:`, fileError);
       }
     }));
 
     await archive.finalize();
+    auditRequest(req, "run.logs", { target: runId, details: { files: txtFiles.length } });
   } catch (error) {
     console.error('Error fetching run logs:', error);
+    auditRequest(req, "run.logs", { outcome: "failure", target: req.params.runId, details: { reason: error.message } });
     if (!res.headersSent) res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    message: "Allure Download Service is running",
-    timestamp: new Date().toISOString(),
-  });
+// Generate (or reuse) the static Allure HTML report for a run
+app.post("/api/run/:runId/html", requirePermission("read-runs"), reportsLimit, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { generated } = await ensureReport(runId);
+    const ticket = createReportTicket(runId, req.user);
+    res.json({ runId, url: `/api/run/${encodeURIComponent(runId)}/html/${ticket}/`, generated });
+  } catch (error) {
+    if (!error.status) console.error('Error generating HTML report:', error);
+    res.status(error.status || 500).json({
+      error: "Failed to generate report",
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+const INGEST_MAX_BYTES = Number(process.env.INGEST_MAX_BYTES) || 100 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: INGEST_MAX_BYTES, files: 20000 },
+});
+
+// multer only limits each file, and buffers them in memory, so a multipart
+// request must declare its length and is capped as a whole like a raw ZIP body
+function limitMultipartSize(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  if (req.headers["content-length"] === undefined) {
+    return res.status(411).json({ error: "Upload rejected: multipart uploads must send a Content-Length" });
+  }
+  if (Number(req.headers["content-length"]) > INGEST_MAX_BYTES) {
+    return res.status(413).json({ error: `Upload rejected: request is larger than ${INGEST_MAX_BYTES} bytes` });
+  }
+  next();
+}
+
+// Accept either a multipart set of files (any field name) or a raw ZIP body
+const receiveUpload = [
+  limitMultipartSize,
+  express.raw({ type: ["application/zip", "application/octet-stream"], limit: INGEST_MAX_BYTES }),
+  (req, res, next) => {
+    upload.any()(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return res.status(status).json({ error: `Upload rejected: ${err.message}` });
+      }
+      next(err);
+    });
+  },
+];
+
+app.post("/api/runs", requirePermission("upload-runs"), receiveUpload, async (req, res) => {
+  try {
+    const uploads = (req.files || []).map((file) => ({ name: file.originalname, data: file.buffer }));
+    if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+      uploads.push({ name: "upload.zip", data: req.body });
+    }
+
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: "Send an allure-results ZIP or multipart result files" });
+    }
+
+    let prepared;
+    try {
+      prepared = await prepareUpload(uploads);
+    } catch (zipError) {
+      return res.status(400).json({ error: `Could not read upload: ${zipError.message}` });
+    }
+
+    const { files, ignored, errors, tests } = prepared;
+    if (errors.length > 0) {
+      auditRequest(req, "run.upload", { outcome: "failure", details: { reason: "invalid-results", errors: errors.length } });
+      return res.status(422).json({ error: "Upload is not a valid Allure results set", details: errors });
+    }
+
+    const runId = await storeRun(files);
+    console.log(`Ingested run ${runId}: ${files.length} files, ${tests} tests`);
+    auditRequest(req, "run.upload", { target: runId, details: { files: files.length, tests } });
+
+    res.status(201).location(`/api/run/reports/${runId}`).json({
+      runId,
+      files: files.length,
+      tests,
+      ignored,
+    });
+  } catch (error) {
+    console.error('Error ingesting run:', error);
+    auditRequest(req, "run.upload", { outcome: "failure", details: { reason: error.message } });
+    res.status(500).json({
+      error: "Failed to store run",
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Delete a run with everything derived from it (manifest, history, cached reports)
+app.delete("/api/runs/:runId", requirePermission("delete-runs"), async (req, res) => {
+  const { runId } = req.params;
+  try {
+    const result = await deleteRun(runId);
+    auditRequest(req, "run.delete", { target: runId, details: { objects: result.objects, bytes: result.bytes } });
+    res.json(result);
+  } catch (error) {
+    if (!error.status) console.error('Error deleting run:', error);
+    auditRequest(req, "run.delete", { outcome: "failure", target: runId, details: { reason: error.message } });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Retention rules (admins only)
+const sendRetentionError = (res, error) => {
+  if (!error.status) console.error('Retention error:', error);
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+app.get("/api/retention", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    res.json(await getRetentionSettings());
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+app.put("/api/retention", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    const { enabled, keepLast, maxAgeDays } = req.body || {};
+    const settings = await updateRetentionSettings({ enabled, keepLast, maxAgeDays });
+    auditRequest(req, "retention.update", { details: { enabled: settings.enabled, keepLast: settings.keepLast, maxAgeDays: settings.maxAgeDays } });
+    res.json(settings);
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+// Dry run. Rules in the body are previewed instead of the saved ones.
+app.post("/api/retention/preview", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    const { keepLast, maxAgeDays } = req.body || {};
+    const rules = req.body && ("keepLast" in req.body || "maxAgeDays" in req.body) ? { keepLast, maxAgeDays } : undefined;
+    res.json(await previewRetention(rules));
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+app.post("/api/retention/apply", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    const result = await applyRetention();
+    auditRequest(req, "retention.apply", {
+      outcome: result.errors.length ? "failure" : "success",
+      details: { deleted: result.deleted.length, bytesFreed: result.deleted.reduce((sum, run) => sum + run.bytes, 0), errors: result.errors.length },
+    });
+    res.json(result);
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+// Pinned runs are kept forever
+app.put("/api/runs/:runId/pin", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    const pinned = await setPinned(req.params.runId, true);
+    auditRequest(req, "run.pin", { target: req.params.runId });
+    res.json({ pinned });
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+app.delete("/api/runs/:runId/pin", requirePermission("manage-retention"), async (req, res) => {
+  try {
+    const pinned = await setPinned(req.params.runId, false);
+    auditRequest(req, "run.unpin", { target: req.params.runId });
+    res.json({ pinned });
+  } catch (error) {
+    sendRetentionError(res, error);
+  }
+});
+
+// User management (admins only)
+const sendUserError = (res, error) => {
+  if (!error.status) console.error('User management error:', error);
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+app.get("/api/users", requirePermission("manage-users"), async (req, res) => {
+  try {
+    res.json({ users: await listUsers(), roles: ROLES });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.post("/api/users", requirePermission("manage-users"), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body || {};
+    const created = await createUser({ email, name, password, role });
+    console.log(`${req.user.email} created user ${created.email} (${created.role})`);
+    auditRequest(req, "user.create", { target: created.email, details: { role: created.role } });
+    res.status(201).json({ user: created });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.patch("/api/users/:id", requirePermission("manage-users"), async (req, res) => {
+  try {
+    const { role, name, disabled } = req.body || {};
+    if (req.params.id === req.user.id && disabled) {
+      return res.status(400).json({ error: "You cannot disable your own account" });
+    }
+    const updated = await updateUser(req.params.id, { role, name, disabled });
+    if (updated.disabled) await revokeUserSessions(updated.id);
+    console.log(`${req.user.email} updated user ${updated.email}`);
+    auditRequest(req, "user.update", { target: updated.email, details: { role, name, disabled } });
+    res.json({ user: updated });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+// Without a password in the body a temporary one is generated and returned once
+app.post("/api/users/:id/reset-password", requirePermission("manage-users"), async (req, res) => {
+  try {
+    const temporaryPassword = await resetPassword(req.params.id, req.body?.password);
+    await revokeUserSessions(req.params.id);
+    console.log(`${req.user.email} reset the password of user ${req.params.id}`);
+    auditRequest(req, "user.reset-password", { target: req.params.id });
+    res.json(temporaryPassword ? { temporaryPassword } : { ok: true });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+// API keys for CI and scripts. The secret is only returned by the create call.
+app.get("/api/api-keys", requirePermission("manage-users"), async (req, res) => {
+  try {
+    res.json({ apiKeys: await listApiKeys(), scopes: KEY_SCOPES });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.post("/api/api-keys", requirePermission("manage-users"), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { apiKey, key } = await createApiKey({ name, scopes, expiresInDays, createdBy: req.user.email });
+    console.log(`${req.user.email} created API key ${apiKey.name} (${apiKey.scopes.join(", ")})`);
+    auditRequest(req, "api-key.create", { target: apiKey.name, details: { id: apiKey.id, scopes: apiKey.scopes } });
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.delete("/api/api-keys/:id", requirePermission("manage-users"), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    console.log(`${req.user.email} revoked API key ${apiKey.name}`);
+    auditRequest(req, "api-key.revoke", { target: apiKey.name, details: { id: apiKey.id } });
+    res.json({ apiKey });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+// Audit trail (admins only). Newest first, paged with `cursor` and filtered by
+// action, actor, outcome, target and from/to.
+app.get("/api/audit", requirePermission("view-audit"), async (req, res) => {
+  try {
+    const { cursor, limit = "50", action, actor, outcome, target, from, to } = req.query;
+
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `Invalid outcome "${outcome}". Use one of: ${OUTCOMES.join(", ")}` });
+    }
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be a date` });
+      }
+    }
+
+    const page = await queryAudit({ cursor, limit: pageSize, action, actor, outcome, target, from, to });
+    res.json({
+      entries: page.entries,
+      total: page.total,
+      actions: await listAuditActions(),
+      page: { limit: pageSize, nextCursor: page.nextCursor },
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: "Failed to read audit log", details: error.message });
+  }
+});
+
+await seedAdmin();
+
+startRetentionSchedule({
+  onApplied: (result) => recordAudit({
+    action: "retention.apply",
+    outcome: result.errors.length ? "failure" : "success",
+    details: { scheduled: true, deleted: result.deleted.length, errors: result.errors.length },
+  }),
 });
 
 app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * Login sessions backing refresh tokens, stored in DATA_DIR/sessions.json.
+ *
+ * A login creates a session and hands out an opaque refresh token; only its
+ * SHA-256 hash is stored. Every refresh rotates the token. Presenting the
+ * token that was rotated out means it leaked, so the whole session is
+ * revoked (unless it was rotated moments ago: another tab refreshing at the
+ * same time is not theft). Access tokens carry the session id, so revoking a session (logout)
+ * also stops its access tokens immediately.
+ */
+
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_MS = 30 * 1000;
+
+const store = createJsonStore("sessions.json", { sessions: [] });
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const newToken = () => crypto.randomBytes(48).toString("base64url");
+
+function sessionError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+// Drop sessions that expired or were revoked more than a day ago
+function prune(data) {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  data.sessions = data.sessions.filter((s) =>
+    new Date(s.expiresAt).getTime() > Date.now() &&
+    (!s.revokedAt || new Date(s.revokedAt).getTime() > cutoff)
+  );
+}
+
+async function createSession(userId) {
+  const refreshToken = newToken();
+  const now = new Date();
+
+  const session = await store.update((data) => {
+    prune(data);
+    const created = {
+      id: crypto.randomUUID(),
+      userId,
+      tokenHash: hashToken(refreshToken),
+      previousTokenHash: null,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+      revokedAt: null,
+    };
+    data.sessions.push(created);
+    return created;
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new one. Resolves with { session, refreshToken }
+ * or rejects with a 401 error.
+ */
+async function rotateSession(refreshToken) {
+  if (!refreshToken) throw sessionError("Refresh token required");
+  const presented = hashToken(refreshToken);
+  const next = newToken();
+
+  const outcome = await store.update((data) => {
+    const reused = data.sessions.find((s) => s.previousTokenHash === presented && !s.revokedAt);
+    if (reused) {
+      if (Date.now() - new Date(reused.lastUsedAt).getTime() > REUSE_GRACE_MS) {
+        reused.revokedAt = new Date().toISOString();
+      }
+      return { error: "Refresh token was already used, please sign in again" };
+    }
+
+    const session = data.sessions.find((s) => s.tokenHash === presented);
+    if (!session || session.revokedAt) return { error: "Session has ended, please sign in again" };
+    if (new Date(session.expiresAt).getTime() <= Date.now()) return { error: "Session expired, please sign in again" };
+
+    session.previousTokenHash = session.tokenHash;
+    session.tokenHash = hashToken(next);
+    session.lastUsedAt = new Date().toISOString();
+    return { session: { ...session } };
+  });
+
+  if (outcome.error) throw sessionError(outcome.error);
+  return { session: outcome.session, refreshToken: next };
+}
+
+// Revoke the session a refresh token or session id belongs to; resolves with it, or null
+async function revokeSession({ refreshToken, sessionId }) {
+  const hash = refreshToken ? hashToken(refreshToken) : null;
+  return store.update((data) => {
+    const session = data.sessions.find((s) =>
+      (sessionId && s.id === sessionId) || (hash && (s.tokenHash === hash || s.previousTokenHash === hash))
+    );
+    if (!session || session.revokedAt) return null;
+    session.revokedAt = new Date().toISOString();
+    return { ...session };
+  });
+}
+
+// End every session of a user, e.g. after a password reset or when disabled
+async function revokeUserSessions(userId) {
+  return store.update((data) => {
+    let revoked = 0;
+    for (const session of data.sessions) {
+      if (session.userId === userId && !session.revokedAt) {
+        session.revokedAt = new Date().toISOString();
+        revoked++;
+      }
+    }
+    return revoked;
+  });
+}
+
+async function isSessionActive(sessionId) {
+  const { sessions } = await store.read();
+  const session = sessions.find((s) => s.id === sessionId);
+  return Boolean(session && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now());
+}
+
+export { createSession, rotateSession, revokeSession, revokeUserSessions, isSessionActive };
@@ -0,0 +1,296 @@
+import {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { Buffer } from "buffer";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+
+/**
+ * Storage backends for Allure results.
+ *
+ * Every reader and writer in the server goes through the object returned by
+ * `getStorage()`, which exposes the same small interface for each backend:
+ *
+ * - listPrefixes(prefix)          -> Promise<string[]>  ("directories" directly under prefix, ending in "/")
+ * - listObjects(prefix)           -> Promise<{ key, size, lastModified }[]>
+ * - getObject(key)                -> Promise<Readable>
+ * - putObject(key, body, options) -> Promise<void>      (body: Buffer | string | Readable)
+ * - deleteObject(key)             -> Promise<void>
+ *
+ * Missing objects reject with an error whose `code` is "NotFound".
+ *
+ * The backend is picked with STORAGE_BACKEND:
+ * - "s3" (default): an S3-compatible bucket such as Cloudflare R2
+ * - "local": a directory on disk (LOCAL_STORAGE_DIR), keys map to relative paths
+ */
+
+// Helper to stream -> string
+async function streamToString(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+function notFoundError(key, cause) {
+  const err = new Error(`Object not found: ${key}`);
+  err.code = "NotFound";
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function createS3Storage({ bucket, endpoint, accessKeyId, secretAccessKey, region = "auto" }) {
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('Missing R2/S3 credentials. Check VITE_AWS_ACCESS_KEY and VITE_AWS_SECRET_KEY in .env');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  // ListObjectsV2 returns at most 1000 keys per call, so follow continuation tokens
+  async function* listPages(params) {
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        MaxKeys: 1000,
+        ...params,
+        ContinuationToken,
+      }));
+      yield page;
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  return {
+    name: "s3",
+
+    async listPrefixes(prefix) {
+      const prefixes = [];
+      for await (const page of listPages({ Prefix: prefix, Delimiter: "/" })) {
+        for (const p of page.CommonPrefixes || []) prefixes.push(p.Prefix);
+      }
+      return prefixes;
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      for await (const page of listPages({ Prefix: prefix })) {
+        for (const obj of page.Contents || []) {
+          objects.push({
+            key: obj.Key,
+            size: obj.Size || 0,
+            lastModified: obj.LastModified ? new Date(obj.LastModified) : null,
+          });
+        }
+      }
+      return objects;
+    },
+
+    async getObject(key) {
+      try {
+        const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return res.Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) {
+          throw notFoundError(key, err);
+        }
+        throw err;
+      }
+    },
+
+    async putObject(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }));
+    },
+
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+function createLocalStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  // Map an object key to a path, refusing anything that escapes the root
+  const resolveKey = (key) => {
+    const resolved = path.resolve(root, key);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const toKey = (absPath) => path.relative(root, absPath).split(path.sep).join("/");
+
+  // Split "reports/allure-results-" into the directory to read and the name filter
+  const splitPrefix = (prefix) => {
+    const slash = prefix.lastIndexOf("/");
+    return {
+      dir: resolveKey(slash === -1 ? "." : prefix.slice(0, slash)),
+      namePrefix: prefix.slice(slash + 1),
+    };
+  };
+
+  const readDir = async (dir) => {
+    try {
+      return await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") return [];
+      throw err;
+    }
+  };
+
+  async function walk(dir, out) {
+    for (const entry of await readDir(dir)) {
+      const abs = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(abs, out);
+      } else if (entry.isFile()) {
+        const stat = await fsp.stat(abs);
+        out.push({ key: toKey(abs), size: stat.size, lastModified: stat.mtime });
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "local",
+
+    async listPrefixes(prefix) {
+      const { dir, namePrefix } = splitPrefix(prefix);
+      const entries = await readDir(dir);
+      return entries
+        .filter((entry) => entry.isDirectory() && entry.name.startsWith(namePrefix))
+        .map((entry) => `${toKey(path.join(dir, entry.name))}/`)
+        .sort();
+    },
+
+    async listObjects(prefix) {
+      const { dir, namePrefix } = splitPrefix(prefix);
+      const objects = [];
+      for (const entry of await readDir(dir)) {
+        if (!entry.name.startsWith(namePrefix)) continue;
+        const abs = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(abs, objects);
+        } else if (entry.isFile()) {
+          const stat = await fsp.stat(abs);
+          objects.push({ key: toKey(abs), size: stat.size, lastModified: stat.mtime });
+        }
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async getObject(key) {
+      const file = resolveKey(key);
+      try {
+        const stat = await fsp.stat(file);
+        if (!stat.isFile()) throw notFoundError(key);
+      } catch (err) {
+        if (err.code === "ENOENT" || err.code === "ENOTDIR") throw notFoundError(key, err);
+        throw err;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async putObject(key, body) {
+      const file = resolveKey(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const source = body instanceof Readable ? body : Readable.from([body]);
+      await pipeline(source, fs.createWriteStream(file));
+    },
+
+    // Like S3, a "folder" disappears with its last object
+    async deleteObject(key) {
+      const file = resolveKey(key);
+      await fsp.rm(file, { force: true });
+      for (let dir = path.dirname(file); dir !== root && dir.startsWith(root + path.sep); dir = path.dirname(dir)) {
+        try {
+          await fsp.rmdir(dir);
+        } catch {
+          break;
+        }
+      }
+    },
+  };
+}
+
+// Build the configured backend from environment variables
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "s3").toLowerCase();
+
+  if (backend === "local") {
+    return createLocalStorage({
+      rootDir: env.LOCAL_STORAGE_DIR || "./allure-data",
+    });
+  }
+
+  if (backend === "s3") {
+    return createS3Storage({
+      bucket: env.VITE_S3_BUCKET || env.S3_BUCKET || "allure-report-telephony",
+      endpoint: env.VITE_S3_ENDPOINT || env.S3_ENDPOINT,
+      accessKeyId: env.VITE_AWS_ACCESS_KEY || env.AWS_ACCESS_KEY,
+      secretAccessKey: env.VITE_AWS_SECRET_KEY || env.AWS_SECRET_KEY,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use "s3" or "local".`);
+}
+
+let storage = null;
+
+// Lazily create a single shared backend so dotenv has run before we read the config
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`Using ${storage.name} storage backend`);
+  }
+  return storage;
+}
+
+// Bucket layout: each run lives under `${REPORTS_PREFIX}<runId>/`.
+// A local folder holds the allure-results-* directories directly unless overridden.
+function getReportsPrefix(env = process.env) {
+  if (env.STORAGE_REPORTS_PREFIX !== undefined) return env.STORAGE_REPORTS_PREFIX;
+  return (env.STORAGE_BACKEND || "s3").toLowerCase() === "local" ? "" : "reports/";
+}
+
+// Run ids end up in storage keys and cache paths, so only accept plain names
+const RUN_ID_PATTERN = /^allure-results-[\w.-]+$/;
+
+function isValidRunId(runId) {
+  return typeof runId === "string" && RUN_ID_PATTERN.test(runId) && !runId.includes("..");
+}
+
+function runPrefix(runId) {
+  return `${getReportsPrefix()}${runId}/`;
+}
+
+async function getObjectText(key) {
+  return streamToString(await getStorage().getObject(key));
+}
+
+export {
+  createStorage,
+  getStorage,
+  getReportsPrefix,
+  runPrefix,
+  isValidRunId,
+  getObjectText,
+  streamToString,
+};
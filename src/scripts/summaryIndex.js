@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import { getStorage, runPrefix, getObjectText } from "./storage.js";
+import { testKey } from "../utils/testKey.js";
+
+/**
+ * Persisted per-run summary manifests.
+ *
+ * The first time a run is summarised we write `index/<runId>.json` with the
+ * run statistics plus a compact record of every result file it was built from.
+ * Later requests only list the run's objects and compare them with the
+ * manifest: unchanged runs are answered from the manifest alone, and changed
+ * runs only download the result files that were added or modified.
+ */
+
+// Bump when the manifest layout changes so old manifests get rebuilt
+const MANIFEST_VERSION = 4;
+const INDEX_PREFIX = "index/";
+
+const manifestKey = (runId) => `${INDEX_PREFIX}${runId}.json`;
+
+// Builds currently running, so concurrent requests for one run share the work
+const inFlight = new Map();
+
+const lastModifiedMs = (obj) => (obj.lastModified ? new Date(obj.lastModified).getTime() : 0);
+
+function fingerprintObjects(objects) {
+  const hash = crypto.createHash("sha1");
+  [...objects]
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .forEach((obj) => hash.update(`${obj.key}:${obj.size}:${lastModifiedMs(obj)}\n`));
+  return hash.digest("hex");
+}
+
+// environment.properties is a plain `key=value` file
+function parseProperties(text) {
+  const env = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#") || line.startsWith("!")) continue;
+    const match = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+    if (match) env[match[1].trim()] = match[2].trim();
+  }
+  return env;
+}
+
+// Failure messages are kept for test history, trimmed to a readable length
+const MAX_MESSAGE_LENGTH = 500;
+
+// Keep only what summaries need from a `-result.json`
+function toTestRecord(result) {
+  const message = result.statusDetails?.message || null;
+  return {
+    uuid: result.uuid || null,
+    historyId: result.historyId || null,
+    name: result.name || null,
+    fullName: result.fullName || null,
+    status: result.status || "unknown",
+    start: result.start || null,
+    stop: result.stop || null,
+    message: message && message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH)}…` : message,
+    labels: (result.labels || []).map(({ name, value }) => ({ name, value })),
+  };
+}
+
+const FAILING_STATUSES = ["failed", "broken"];
+
+/**
+ * Group test records by testKey. A retried test has several `-result.json`
+ * files with one historyId; its attempts are listed oldest first, so the last
+ * one is the test's final result.
+ */
+function groupAttempts(tests) {
+  const groups = new Map();
+  for (const test of tests) {
+    const key = testKey(test);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(test);
+  }
+  groups.forEach((attempts) => attempts.sort((a, b) => (a.stop || 0) - (b.stop || 0)));
+  return groups;
+}
+
+// Final attempt passed after an earlier attempt failed or broke
+const passedOnRetry = (attempts) =>
+  attempts[attempts.length - 1].status === "passed" &&
+  attempts.slice(0, -1).some((attempt) => FAILING_STATUSES.includes(attempt.status));
+
+// Earliest start and latest stop over every attempt; results without timings are
+// left out, and a run with none has null times. A loop, since runs can hold more
+// results than Math.min/max accept as arguments.
+function runTime(attempts) {
+  return attempts.reduce(
+    (time, test) => ({
+      start: test.start && (time.start === null || test.start < time.start) ? test.start : time.start,
+      stop: test.stop && (time.stop === null || test.stop > time.stop) ? test.stop : time.stop,
+    }),
+    { start: null, stop: null }
+  );
+}
+
+function summarise(files, environment) {
+  const attempts = Object.values(files).map((f) => f.test).filter(Boolean);
+  const groups = [...groupAttempts(attempts).values()];
+  // Each test counts once, with the status of its final attempt
+  const tests = groups.map((group) => group[group.length - 1]);
+  const count = (status) => tests.filter((t) => t.status === status).length;
+
+  const labels = {};
+  for (const test of tests) {
+    for (const { name, value } of test.labels) {
+      if (!name || value === undefined) continue;
+      labels[name] = labels[name] || {};
+      labels[name][value] = (labels[name][value] || 0) + 1;
+    }
+  }
+
+  return {
+    statistic: {
+      total: tests.length,
+      passed: count("passed"),
+      failed: count("failed"),
+      broken: count("broken"),
+      skipped: count("skipped"),
+      passedOnRetry: groups.filter(passedOnRetry).length,
+      retries: attempts.length - tests.length,
+    },
+    time: runTime(attempts),
+    totalFiles: Object.keys(files).filter((key) => key.endsWith("-result.json")).length,
+    labels,
+    environment,
+  };
+}
+
+async function readManifest(runId) {
+  try {
+    const manifest = JSON.parse(await getObjectText(manifestKey(runId)));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch (err) {
+    if (err.code !== "NotFound") {
+      console.error(`Ignoring unreadable manifest for ${runId}:`, err.message);
+    }
+    return null;
+  }
+}
+
+async function buildManifest(runId) {
+  const storage = getStorage();
+  const objects = await storage.listObjects(runPrefix(runId));
+  const fingerprint = fingerprintObjects(objects);
+  const previous = await readManifest(runId);
+
+  if (previous && previous.fingerprint === fingerprint) {
+    return previous;
+  }
+
+  const files = {};
+  let reused = 0;
+  let parsed = 0;
+
+  await Promise.all(objects
+    .filter((obj) => obj.key.endsWith("-result.json"))
+    .map(async (obj) => {
+      const cached = previous?.files?.[obj.key];
+      if (cached && cached.size === obj.size && cached.lastModified === lastModifiedMs(obj)) {
+        files[obj.key] = cached;
+        reused++;
+        return;
+      }
+
+      let test = null;
+      try {
+        test = toTestRecord(JSON.parse(await getObjectText(obj.key)));
+      } catch {
+        test = null;
+      }
+      files[obj.key] = { size: obj.size, lastModified: lastModifiedMs(obj), test };
+      parsed++;
+    }));
+
+  let environment = {};
+  const envObject = objects.find((obj) => obj.key.endsWith("/environment.properties"));
+  if (envObject) {
+    try {
+      environment = parseProperties(await getObjectText(envObject.key));
+    } catch (err) {
+      console.error(`Could not read environment for ${runId}:`, err.message);
+    }
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    runId,
+    generatedAt: new Date().toISOString(),
+    fingerprint,
+    files,
+    summary: summarise(files, environment),
+  };
+
+  try {
+    await storage.putObject(manifestKey(runId), JSON.stringify(manifest), {
+      contentType: "application/json",
+    });
+  } catch (err) {
+    // A read-only bucket still gets correct summaries, just without caching
+    console.error(`Could not write manifest for ${runId}:`, err.message);
+  }
+
+  console.log(`Indexed ${runId}: ${parsed} result files parsed, ${reused} reused`);
+  return manifest;
+}
+
+/**
+ * Return the up-to-date manifest for a run, rebuilding it if the run's objects
+ * changed since it was written.
+ */
+async function getRunManifest(runId) {
+  if (!inFlight.has(runId)) {
+    const build = buildManifest(runId).finally(() => inFlight.delete(runId));
+    inFlight.set(runId, build);
+  }
+  return inFlight.get(runId);
+}
+
+async function getRunSummary(runId) {
+  return (await getRunManifest(runId)).summary;
+}
+
+// Drop a run's manifest, e.g. after its objects were replaced or deleted
+async function invalidateRunSummary(runId) {
+  await getStorage().deleteObject(manifestKey(runId));
+}
+
+export {
+  getRunManifest,
+  getRunSummary,
+  invalidateRunSummary,
+  parseProperties,
+  testKey,
+  groupAttempts,
+  passedOnRetry,
+  INDEX_PREFIX,
+};
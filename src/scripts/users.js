@@ -0,0 +1,260 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * User accounts, stored in DATA_DIR/users.json with bcrypt-hashed passwords.
+ *
+ * Roles, from least to most access:
+ * - viewer:  browse runs and results
+ * - triager: viewer + upload runs
+ * - admin:   everything, including user management and the audit log
+ *
+ * On first start an admin is created from LOGIN_EMAIL/LOGIN_PASSWORD so
+ * existing deployments keep their login. Users signing in through SSO are
+ * created on first login without a password (`source: "sso"`).
+ */
+
+const ROLES = ["viewer", "triager", "admin"];
+
+const ROLE_PERMISSIONS = {
+  viewer: ["read-runs"],
+  triager: ["read-runs", "upload-runs"],
+  admin: ["read-runs", "upload-runs", "delete-runs", "manage-retention", "manage-users", "view-audit"],
+};
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+const store = createJsonStore("users.json", { users: [] });
+
+// Errors with a status are reported to the client as-is
+function userError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const normaliseEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Never send password hashes over the wire
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash: _passwordHash, ...rest } = user;
+  return rest;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw userError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw userError(400, `Invalid role "${role}". Use one of: ${ROLES.join(", ")}`);
+  }
+}
+
+const activeAdmins = (users) => users.filter((u) => u.role === "admin" && !u.disabled);
+
+async function seedAdmin() {
+  const { users } = await store.read();
+  if (users.length > 0) return;
+
+  const email = process.env.LOGIN_EMAIL;
+  const password = process.env.LOGIN_PASSWORD;
+  if (!email || !password) {
+    console.warn("No users exist yet. Set LOGIN_EMAIL and LOGIN_PASSWORD to create the first admin.");
+    return;
+  }
+
+  await store.update(async (data) => {
+    data.users.push({
+      id: crypto.randomUUID(),
+      email: normaliseEmail(email),
+      name: "Administrator",
+      role: "admin",
+      disabled: false,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      createdAt: new Date().toISOString(),
+    });
+  });
+  console.log(`Created admin user ${email}`);
+}
+
+async function listUsers() {
+  const { users } = await store.read();
+  return users.map(publicUser);
+}
+
+async function getUser(id) {
+  const { users } = await store.read();
+  return publicUser(users.find((u) => u.id === id));
+}
+
+async function findUserByEmail(email) {
+  const { users } = await store.read();
+  return publicUser(users.find((u) => u.email === normaliseEmail(email)));
+}
+
+// Compared against when the email is unknown, so both failures take as long
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), BCRYPT_ROUNDS);
+
+/**
+ * Check an email/password pair.
+ * Resolves with { user } on success or { reason: "email" | "password" | "disabled" }.
+ */
+async function verifyCredentials(email, password) {
+  const { users } = await store.read();
+  const user = users.find((u) => u.email === normaliseEmail(email));
+  if (!user || !user.passwordHash) {
+    await bcrypt.compare(String(password || ""), DUMMY_HASH);
+    return { reason: "email" };
+  }
+  if (!(await bcrypt.compare(String(password || ""), user.passwordHash))) return { reason: "password" };
+  if (user.disabled) return { reason: "disabled" };
+  return { user: publicUser(user) };
+}
+
+async function createUser({ email, name, password, role = "viewer" }) {
+  const normalised = normaliseEmail(email);
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalised)) throw userError(400, "A valid email is required");
+  validateRole(role);
+  validatePassword(password);
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  return store.update((data) => {
+    if (data.users.some((u) => u.email === normalised)) {
+      throw userError(409, `A user with email ${normalised} already exists`);
+    }
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalised,
+      name: String(name || "").trim() || normalised,
+      role,
+      disabled: false,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    data.users.push(user);
+    return publicUser(user);
+  });
+}
+
+// Change role, name or disabled flag. The last active admin cannot be demoted or disabled.
+async function updateUser(id, { role, name, disabled }) {
+  if (role !== undefined) validateRole(role);
+
+  return store.update((data) => {
+    const user = data.users.find((u) => u.id === id);
+    if (!user) throw userError(404, "User not found");
+
+    const next = {
+      ...user,
+      ...(role !== undefined && { role }),
+      ...(name !== undefined && { name: String(name).trim() || user.email }),
+      ...(disabled !== undefined && { disabled: Boolean(disabled) }),
+    };
+
+    const others = data.users.filter((u) => u.id !== id);
+    if (activeAdmins([...others, next]).length === 0) {
+      throw userError(400, "At least one active admin is required");
+    }
+
+    next.updatedAt = new Date().toISOString();
+    Object.assign(user, next);
+    return publicUser(user);
+  });
+}
+
+// Set a new password, generating a temporary one when none is given
+async function resetPassword(id, password) {
+  const newPassword = password || crypto.randomBytes(9).toString("base64url");
+  validatePassword(newPassword);
+  const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+
+  await store.update((data) => {
+    const user = data.users.find((u) => u.id === id);
+    if (!user) throw userError(404, "User not found");
+    user.passwordHash = passwordHash;
+    user.passwordResetAt = new Date().toISOString();
+  });
+
+  return password ? null : newPassword;
+}
+
+// Created by an SSO login; accounts from before `source` was recorded never had a password
+const isSsoManaged = (user) => user.source === "sso" || (!user.source && Boolean(user.sso) && !user.passwordHash);
+
+/**
+ * Find or create the account of a user who signed in through SSO.
+ *
+ * Accounts are linked to the identity provider by issuer + subject. An
+ * existing account is linked by email only when the provider says the email is
+ * verified, and linking never changes its role. The role follows the
+ * provider's groups only for accounts that SSO created; disabled accounts stay
+ * disabled.
+ */
+async function upsertSsoUser({ email, emailVerified, name, role, issuer, subject }) {
+  validateRole(role);
+  const normalised = normaliseEmail(email);
+  if (!issuer || !subject) throw userError(400, "The identity provider did not identify the user");
+
+  return store.update((data) => {
+    let user = data.users.find((u) => u.sso?.issuer === issuer && u.sso?.subject === subject);
+
+    if (!user) {
+      const existing = data.users.find((u) => u.email === normalised);
+      if (existing) {
+        if (existing.sso) {
+          throw userError(409, `The account for ${normalised} is linked to a different single sign-on identity`);
+        }
+        if (emailVerified !== true) {
+          throw userError(409, `An account for ${normalised} already exists and the identity provider has not verified this email`);
+        }
+        user = existing;
+        user.sso = { issuer, subject };
+      } else {
+        user = {
+          id: crypto.randomUUID(),
+          email: normalised,
+          name: String(name || "").trim() || normalised,
+          role,
+          disabled: false,
+          passwordHash: null,
+          source: "sso",
+          sso: { issuer, subject },
+          createdAt: new Date().toISOString(),
+        };
+        data.users.push(user);
+      }
+    } else if (isSsoManaged(user) && !user.disabled) {
+      // Never let an IdP group change remove the last active admin
+      const demotesLastAdmin = user.role === "admin" && role !== "admin" &&
+        activeAdmins(data.users).length === 1;
+      if (!demotesLastAdmin) user.role = role;
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    return publicUser(user);
+  });
+}
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+export {
+  ROLES,
+  seedAdmin,
+  listUsers,
+  getUser,
+  findUserByEmail,
+  verifyCredentials,
+  createUser,
+  updateUser,
+  resetPassword,
+  upsertSsoUser,
+  permissionsFor,
+};
@@ -1,37 +1,169 @@
-const API_BASE = "https://allure-telephony.onrender.com";
+import { apiFetch, apiJson, apiDownload, ApiError } from "./apiClient.js";
+import { testKey } from "./testKey.js";
 
-export const fetchRunResults = async (runId) => {
-  const res = await fetch(`${API_BASE}/api/run/reports/${runId}`);
-  if (!res.ok) throw new Error(`Failed to fetch results: ${res.status}`);
-  return res.json();
+// Typed model of a run: { runId, tests, attachments, files }
+export const fetchRunModel = (runId) => apiJson(`/api/run/reports/${encodeURIComponent(runId)}`);
+
+// Just the tests of a run, each with its fixtures (befores/afters) and attachment references
+export const fetchRunResults = async (runId) => (await fetchRunModel(runId)).tests || [];
+
+export const attachmentPath = (runId, source) =>
+  `/api/run/${encodeURIComponent(runId)}/attachments/${encodeURIComponent(source)}`;
+
+// Attachment contents as a Blob, for showing them inline
+export const fetchAttachmentBlob = async (runId, source) => {
+  const res = await apiFetch(attachmentPath(runId, source));
+  if (!res.ok) {
+    throw new ApiError(`Could not load attachment ${source} (HTTP ${res.status})`, { status: res.status });
+  }
+  return res.blob();
+};
+
+export const downloadAttachment = (runId, attachment) =>
+  apiDownload(attachmentPath(runId, attachment.source), attachment.name || attachment.source);
+
+// Every test of a run over its last `limit` runs: { runs, tests: { [testKey]: cells } }
+export const fetchTestHistory = (runId, limit = 10) =>
+  apiJson(`/api/run/${encodeURIComponent(runId)}/history?limit=${limit}`);
+
+export const downloadAllTestLogs = (runId) =>
+  apiDownload(`/api/run/${encodeURIComponent(runId)}/logs`, `${runId}-logs.zip`);
+
+export const TEST_STATUSES = ["passed", "failed", "broken", "skipped", "unknown"];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// "1.5s", "500ms", "2m" or a bare number of milliseconds
+const parseDuration = (text) => {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/i.exec(text.trim());
+  return match ? Number(match[1]) * DURATION_UNITS[(match[2] || "ms").toLowerCase()] : null;
 };
 
-export const downloadAllTestLogs = async (runId) => {
-  const res = await fetch(`${API_BASE}/api/run/reports/${runId}/logs`);
-  if (res.status === 404) {
-    throw new Error("No log files found for this test run.");
+// "duration:>5s", "<=500ms", "1s..10s" or an exact duration, as a predicate on milliseconds
+const parseDurationTest = (value) => {
+  const range = value.split("..");
+  if (range.length === 2) {
+    const min = range[0] ? parseDuration(range[0]) : 0;
+    const max = range[1] ? parseDuration(range[1]) : Infinity;
+    return min === null || max === null ? null : (ms) => ms >= min && ms <= max;
+  }
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+  const limit = parseDuration(match[2]);
+  if (limit === null) return null;
+  switch (match[1]) {
+    case ">": return (ms) => ms > limit;
+    case ">=": return (ms) => ms >= limit;
+    case "<": return (ms) => ms < limit;
+    case "<=": return (ms) => ms <= limit;
+    default: return (ms) => ms === limit;
   }
-  if (!res.ok) throw new Error(`Failed to fetch logs: ${res.status}`);
-
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = `${runId}-logs.zip`;
-  link.style.display = "none";
-  document.body.appendChild(link);
-  link.click();
-  setTimeout(() => {
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-  }, 100);
 };
 
+const includesText = (haystack, needle) => String(haystack ?? "").toLowerCase().includes(needle);
+
+// `name=value` splits into both parts; a bare value leaves the name empty
+const splitPair = (value) => {
+  const index = value.indexOf("=");
+  return index === -1 ? ["", value] : [value.slice(0, index), value.slice(index + 1)];
+};
+
+const TERM_PATTERN = /(-)?(?:([A-Za-z_][\w.-]*):)?(?:"([^"]*)"|(\S+))/g;
+
+/**
+ * Parse a filter query. Whitespace-separated terms must all match (AND);
+ * `OR` between terms starts an alternative, and AND binds tighter than OR.
+ * A leading `-` negates a term and values with spaces go in double quotes.
+ *
+ * - free text               name, full name or description contains it
+ * - name:text               name or full name contains it
+ * - status:failed,broken    any of the listed statuses
+ * - message:"no carrier"    failure message or trace contains it
+ * - duration:>5s            also <, >=, <=, =, or a range like 1s..10s (ms, s, m, h)
+ * - param:callee=+4412      a parameter with that name whose value contains the text;
+ *                           param:+4412 matches any parameter value
+ * - label:severity=critical any label; known labels also work directly,
+ *                           e.g. severity:critical, owner:alice, tag:smoke, feature:Dial
+ *
+ * Returns { groups, errors } where groups is a list of AND-ed term lists.
+ */
+export const parseFilterQuery = (query) => {
+  const groups = [[]];
+  const errors = [];
+
+  for (const [, negate, rawKey, quoted, bare] of (query || "").matchAll(TERM_PATTERN)) {
+    const key = rawKey?.toLowerCase();
+    const value = (quoted ?? bare ?? "").trim();
+    if (!key && !negate && quoted === undefined && (value === "OR" || value === "AND")) {
+      if (value === "OR" && groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+    if (!value) continue;
+
+    const term = { key: key || "text", value: value.toLowerCase(), negate: Boolean(negate) };
+    if (key === "status") {
+      term.statuses = term.value.split(",").filter(Boolean);
+    } else if (key === "duration") {
+      term.test = parseDurationTest(value);
+      if (!term.test) {
+        errors.push(`Invalid duration "${value}", use e.g. >5s, <500ms or 1s..10s`);
+        continue;
+      }
+    } else if (key === "param" || key === "label") {
+      [term.name, term.value] = splitPair(term.value);
+    } else if (key && !["text", "name", "message"].includes(key)) {
+      term.name = key;
+      term.key = "label";
+    }
+    groups[groups.length - 1].push(term);
+  }
+
+  return { groups: groups.filter((group) => group.length > 0), errors };
+};
+
+const matchesTerm = (result, term) => {
+  switch (term.key) {
+    case "status":
+      return term.statuses.includes(result.status);
+    case "name":
+      return includesText(result.name, term.value) || includesText(result.fullName, term.value);
+    case "message":
+      return includesText(result.statusDetails?.message, term.value) || includesText(result.statusDetails?.trace, term.value);
+    case "duration":
+      return Boolean(result.start && result.stop) && term.test(result.stop - result.start);
+    case "param":
+      return (result.parameters || []).some(
+        (param) => (!term.name || String(param.name).toLowerCase() === term.name) && includesText(param.value, term.value)
+      );
+    case "label":
+      return (result.labels || []).some(
+        (label) => (!term.name || String(label.name).toLowerCase() === term.name) && includesText(label.value, term.value)
+      );
+    default:
+      return (
+        includesText(result.name, term.value) ||
+        includesText(result.fullName, term.value) ||
+        includesText(result.description, term.value)
+      );
+  }
+};
+
+export const matchesFilterQuery = (result, parsed) =>
+  parsed.groups.length === 0 ||
+  parsed.groups.some((group) => group.every((term) => matchesTerm(result, term) !== term.negate));
+
+/**
+ * Filter results by `statuses` (any of them), a single `status`, a plain
+ * `search` text and a `query` in the filter language of parseFilterQuery.
+ */
 export const applyFilters = (results, filters) => {
   if (!results || results.length === 0) return [];
 
   let filtered = [...results];
 
+  if (filters.statuses && filters.statuses.length > 0) {
+    filtered = filtered.filter((r) => filters.statuses.includes(r.status));
+  }
+
   if (filters.status && filters.status !== "all") {
     filtered = filtered.filter((r) => r.status === filters.status);
   }
@@ -46,6 +178,11 @@ export const applyFilters = (results, filters) => {
     );
   }
 
+  if (filters.query && filters.query.trim()) {
+    const parsed = parseFilterQuery(filters.query);
+    filtered = filtered.filter((r) => matchesFilterQuery(r, parsed));
+  }
+
   return filtered;
 };
 
@@ -68,3 +205,128 @@ export const formatDuration = (duration) => {
   const seconds = Math.floor((duration % 60000) / 1000);
   return `${minutes}m ${seconds}s`;
 };
+
+
+const FAILING_STATUSES = ["failed", "broken"];
+
+export { testKey };
+
+/**
+ * Test-level differences between a baseline run and a target run. Only test
+ * results are compared (entries with a status); containers are ignored.
+ * Returns { newlyFailing, fixed, stillFailing, added, removed }, each a list
+ * of { key, name, fullName, before, after } where before/after are the
+ * matching results of the baseline and target runs (or null).
+ */
+export const diffRunResults = (baseResults, targetResults) => {
+  const byKey = (results) => {
+    const map = new Map();
+    (results || []).forEach((result) => {
+      if (!result?.status) return;
+      const key = testKey(result);
+      // Several attempts of one test: the latest one counts
+      const existing = map.get(key);
+      if (!existing || (result.stop || 0) >= (existing.stop || 0)) map.set(key, result);
+    });
+    return map;
+  };
+
+  const base = byKey(baseResults);
+  const target = byKey(targetResults);
+  const diff = { newlyFailing: [], fixed: [], stillFailing: [], added: [], removed: [] };
+  const entry = (key, before, after) => ({
+    key,
+    name: (after || before).name || (after || before).fullName || "Unnamed Test",
+    fullName: (after || before).fullName,
+    before,
+    after,
+  });
+
+  target.forEach((after, key) => {
+    const before = base.get(key);
+    if (!before) {
+      diff.added.push(entry(key, null, after));
+      return;
+    }
+    const wasFailing = FAILING_STATUSES.includes(before.status);
+    const isFailing = FAILING_STATUSES.includes(after.status);
+    if (isFailing && !wasFailing) diff.newlyFailing.push(entry(key, before, after));
+    else if (!isFailing && wasFailing && after.status === "passed") diff.fixed.push(entry(key, before, after));
+    else if (isFailing && wasFailing) diff.stillFailing.push(entry(key, before, after));
+  });
+  base.forEach((before, key) => {
+    if (!target.has(key)) diff.removed.push(entry(key, before, null));
+  });
+
+  Object.values(diff).forEach((list) => list.sort((a, b) => a.name.localeCompare(b.name)));
+  return diff;
+};
+
+
+// Label levels of the Allure tree views
+export const TREE_VIEWS = {
+  suites: { label: "Suites", levels: ["parentSuite", "suite", "subSuite"], empty: "(no suite)" },
+  behaviors: { label: "Behaviors", levels: ["epic", "feature", "story"], empty: "(no feature)" },
+};
+
+const emptyCounts = () => ({ total: 0, passed: 0, failed: 0, broken: 0, skipped: 0, unknown: 0 });
+
+// Branch of a test in a tree view: the values of the view's labels it has, top level first
+export const testTreePath = (result, view) => {
+  const { levels, empty } = TREE_VIEWS[view];
+  const path = levels
+    .map((level) => result.labels?.find((label) => label.name === level)?.value)
+    .filter(Boolean);
+  return path.length > 0 ? path : [empty];
+};
+
+export const treeNodeId = (path) => path.map(encodeURIComponent).join("/");
+
+// Path of a tree node id, e.g. from a shared URL; malformed escapes are kept as typed
+export const treeNodePath = (id) =>
+  id.split("/").map((segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+
+/**
+ * Tree of tests by the labels of a view ("suites" or "behaviors"). Every node
+ * is { id, name, path, counts, children } with status counts over all tests in
+ * its branch; children are sorted by name.
+ */
+export const buildTestTree = (results, view) => {
+  const root = { id: "", name: TREE_VIEWS[view].label, path: [], counts: emptyCounts(), children: [] };
+  const nodes = new Map([["", root]]);
+
+  (results || []).forEach((result) => {
+    const status = result.status in root.counts ? result.status : "unknown";
+    let node = root;
+    node.counts.total++;
+    node.counts[status]++;
+    testTreePath(result, view).forEach((name, depth, path) => {
+      const childPath = path.slice(0, depth + 1);
+      const id = treeNodeId(childPath);
+      if (!nodes.has(id)) {
+        const child = { id, name, path: childPath, counts: emptyCounts(), children: [] };
+        nodes.set(id, child);
+        node.children.push(child);
+      }
+      node = nodes.get(id);
+      node.counts.total++;
+      node.counts[status]++;
+    });
+  });
+
+  nodes.forEach((node) => node.children.sort((a, b) => a.name.localeCompare(b.name)));
+  return root;
+};
+
+// Whether a test sits in the branch at `path` of a tree view
+export const isInTreeBranch = (result, view, path) => {
+  if (!path || path.length === 0) return true;
+  const testPath = testTreePath(result, view);
+  return path.every((name, index) => testPath[index] === name);
+};
@@ -0,0 +1,255 @@
+import { getToken, getRefreshToken, setSession, clearSession, isTokenExpired } from "./session.js";
+
+/**
+ * The one place the UI talks to the API server.
+ *
+ * Configured from Vite env (see .env.example):
+ * - VITE_API_BASE_URL     server to call, e.g. http://localhost:5003 or a staging URL
+ * - VITE_API_TIMEOUT_MS   how long to wait for a response, default 30000
+ *
+ * Failures are thrown as ApiError with the server's JSON error shape
+ * ({ error | message, details?, code? }) unpacked onto it.
+ */
+
+export const API_BASE = (import.meta.env.VITE_API_BASE_URL || "https://allure-telephony.onrender.com").replace(/\/$/, "");
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 30000;
+
+// GET/HEAD requests are retried on network errors and these statuses
+const RETRY_STATUSES = [502, 503, 504];
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// Server auth failures: 401 means the session is gone, 403 means not allowed
+const SESSION_ERROR_CODES = ["AUTH_REQUIRED", "TOKEN_EXPIRED", "TOKEN_INVALID", "SESSION_REVOKED"];
+
+// Refresh access tokens this long before they expire
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const apiUrl = (path) => `${API_BASE}${path}`;
+
+const readErrorBody = async (res) => {
+  try {
+    return await res.clone().json();
+  } catch {
+    return {};
+  }
+};
+
+// ApiError from an error response, using the server's message when it sent one
+const errorFromResponse = async (res, fallback) => {
+  const body = await readErrorBody(res);
+  const details = Array.isArray(body.details) ? body.details.join("; ") : body.details;
+  return new ApiError(body.error || body.message || fallback || `HTTP error! status: ${res.status}`, {
+    status: res.status,
+    code: body.code || null,
+    details: details || null,
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Drop the session and show the login page with a "session expired" notice
+export const expireSession = () => {
+  clearSession();
+  if (window.location.pathname !== "/") {
+    window.location.assign("/?reason=expired");
+  }
+};
+
+/**
+ * One fetch() with a timeout on receiving the response headers. Large
+ * downloads keep streaming after that.
+ */
+const send = async (path, { timeout = DEFAULT_TIMEOUT_MS, auth = true, ...options }) => {
+  const headers = new Headers(options.headers);
+  const token = auth ? getToken() : null;
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+
+  const controller = new AbortController();
+  const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+  if (options.signal) options.signal.addEventListener("abort", () => controller.abort(), { once: true });
+
+  try {
+    return await fetch(apiUrl(path), { ...options, headers, signal: controller.signal });
+  } catch (err) {
+    if (options.signal?.aborted) throw err;
+    throw new ApiError(
+      controller.signal.aborted
+        ? `The server at ${API_BASE} did not respond within ${Math.round(timeout / 1000)}s`
+        : `Could not reach the server at ${API_BASE}`,
+      { code: controller.signal.aborted ? "TIMEOUT" : "NETWORK_ERROR" }
+    );
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+};
+
+// send() with retries and backoff for idempotent requests
+const sendWithRetry = async (path, { retries, ...options }) => {
+  const method = (options.method || "GET").toUpperCase();
+  const attempts = method === "GET" || method === "HEAD" ? (retries ?? DEFAULT_RETRIES) + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const res = await send(path, options);
+      if (attempt < attempts && RETRY_STATUSES.includes(res.status)) {
+        await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+        continue;
+      }
+      return res;
+    } catch (err) {
+      if (attempt >= attempts || !(err instanceof ApiError)) throw err;
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+let refreshing = null;
+
+/**
+ * Swap the refresh token for a new access token. Concurrent callers share one
+ * request, as the server rotates the refresh token on every use. A rejected
+ * token that another tab already rotated still counts as renewed.
+ * Resolves with true when the session was renewed.
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+      try {
+        const res = await send("/auth/refresh", {
+          method: "POST",
+          auth: false,
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) return getRefreshToken() !== refreshToken && Boolean(getRefreshToken());
+        setSession(await res.json());
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// Revoke the session on the server, then forget it locally
+export const logout = async () => {
+  const token = getToken();
+  const refreshToken = getRefreshToken();
+  clearSession();
+  try {
+    await send("/auth/logout", {
+      method: "POST",
+      auth: false,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch (err) {
+    console.error("Logout request failed:", err);
+  }
+};
+
+/**
+ * fetch() against the API server with the bearer token attached.
+ *
+ * Options on top of fetch()'s: `timeout` (ms, 0 for none), `retries` for
+ * GET/HEAD and `auth: false` for endpoints used before signing in, which
+ * skips the session handling below and returns every response as-is.
+ *
+ * Access tokens about to expire are refreshed first, and a request rejected
+ * with an expired token is retried once after a refresh. When the session
+ * cannot be renewed the user is sent back to the login page. 401, 403 and 429
+ * responses and network failures throw an ApiError; every other response is
+ * returned for the caller to handle.
+ */
+export const apiFetch = async (path, options = {}) => {
+  if (options.auth === false) return sendWithRetry(path, options);
+
+  if (getToken() && isTokenExpired(REFRESH_MARGIN_MS) && getRefreshToken()) {
+    await refreshSession();
+  }
+
+  let res = await sendWithRetry(path, options);
+
+  if (res.status === 401) {
+    let body = await readErrorBody(res);
+    if (body.code === "TOKEN_EXPIRED" && (await refreshSession())) {
+      res = await sendWithRetry(path, options);
+      body = res.status === 401 ? await readErrorBody(res) : {};
+    }
+    if (res.status === 401 && (!body.code || SESSION_ERROR_CODES.includes(body.code))) {
+      expireSession();
+      throw new ApiError(body.error || "Your session has expired. Please sign in again.", {
+        status: 401,
+        code: body.code || null,
+      });
+    }
+  }
+
+  if (res.status === 403) {
+    throw await errorFromResponse(res, "You do not have permission to do that.");
+  }
+
+  if (res.status === 429) {
+    const wait = res.headers.get("Retry-After");
+    throw await errorFromResponse(res, `Too many requests. Try again in ${wait || "a few"} seconds.`);
+  }
+
+  return res;
+};
+
+/**
+ * JSON request: `body` is serialised, the response parsed, and any non-2xx
+ * response thrown as an ApiError carrying the server's message.
+ */
+export const apiJson = async (path, { body, headers, ...options } = {}) => {
+  const res = await apiFetch(path, {
+    ...options,
+    headers: { Accept: "application/json", ...(body !== undefined && { "Content-Type": "application/json" }), ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw await errorFromResponse(res);
+  if (res.status === 204) return null;
+  return res.json();
+};
+
+/**
+ * Download a file response (e.g. a ZIP) and hand it to the browser under
+ * `filename`. Error responses are thrown as ApiError.
+ */
+export const apiDownload = async (path, filename, options = {}) => {
+  const res = await apiFetch(path, options);
+  if (!res.ok) throw await errorFromResponse(res);
+
+  const blob = await res.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  setTimeout(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, 100);
+};
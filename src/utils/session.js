@@ -0,0 +1,44 @@
+const TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+// Store the tokens returned by /login, /auth/refresh or single sign-on
+export const setSession = ({ token, refreshToken }) => {
+  setToken(token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+const decodePayload = (token) => {
+  if (!token) return null;
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+};
+
+// Claims of the signed-in user ({ id, email, role }) read from the JWT payload
+export const getCurrentUser = () => decodePayload(getToken());
+
+// When the access token expires, in ms since the epoch (null without a token)
+export const getTokenExpiry = () => {
+  const exp = decodePayload(getToken())?.exp;
+  return exp ? exp * 1000 : null;
+};
+
+// True when the access token is missing or expires within `marginMs`
+export const isTokenExpired = (marginMs = 0) => {
+  const expiry = getTokenExpiry();
+  return !expiry || expiry - marginMs <= Date.now();
+};
@@ -0,0 +1,4 @@
+// Identity of a test across attempts and runs: Allure's historyId, falling back
+// to its names and finally its uuid. Shared by the API server and the UI so
+// both group results the same way.
+export const testKey = (test) => test.historyId || test.fullName || test.name || test.uuid;